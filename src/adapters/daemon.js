@@ -0,0 +1,69 @@
+/**
+ * Daemon Adapter
+ *
+ * Pidfiles for processes started without an init system (sshd in
+ * containers), kept in .runner-data/data-services/<name>.pid, and liveness
+ * checks through them.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * Get the pidfile path for a daemon
+ *
+ * @param {string} cwd - Working directory containing .runner-data
+ * @param {string} name - Daemon name
+ * @returns {string} Absolute pidfile path
+ */
+function getPidFilePath(cwd, name) {
+  return path.resolve(cwd, '.runner-data', 'data-services', `${name}.pid`);
+}
+
+/**
+ * Read the pid from a pidfile
+ *
+ * @param {string} pidFile - Pidfile path
+ * @returns {Promise<number|null>} Pid or null if the file is missing or malformed
+ */
+async function readPidFile(pidFile) {
+  try {
+    const pid = parseInt((await fs.readFile(pidFile, 'utf8')).trim(), 10);
+    return pid > 0 ? pid : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a process is running
+ *
+ * @param {number} pid - Process id
+ * @returns {boolean} True if it runs (also when it belongs to another user)
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Get the running daemon of a pidfile
+ *
+ * @param {string} pidFile - Pidfile path
+ * @returns {Promise<number|null>} Pid or null if the daemon is not running
+ */
+async function getRunningPid(pidFile) {
+  const pid = await readPidFile(pidFile);
+  return pid && isProcessAlive(pid) ? pid : null;
+}
+
+module.exports = {
+  getPidFilePath,
+  readPidFile,
+  isProcessAlive,
+  getRunningPid
+};
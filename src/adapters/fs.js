@@ -7,6 +7,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { execSudo } = require('./process');
+const { prepareWrite, prepareChmod, commitAction, isDryRun, stageWrite } = require('./journal');
 
 /**
  * Ensure directory exists, create if not
@@ -14,6 +15,10 @@ const { execSudo } = require('./process');
  * @param {string} dirPath - Directory path
  */
 async function ensureDir(dirPath) {
+  if (isDryRun()) {
+    return;
+  }
+
   try {
     await fs.mkdir(dirPath, { recursive: true });
   } catch (error) {
@@ -39,10 +44,26 @@ async function readFile(filePath, encoding = 'utf8') {
  * 
  * @param {string} filePath - File path
  * @param {string} content - File content
+ * @param {Object} [options] - Options
+ * @param {number} [options.mode] - Mode for a private file (e.g. 0o600), set before any content is written
  */
-async function writeFile(filePath, content) {
+async function writeFile(filePath, content, options = {}) {
+  const action = await prepareWrite(filePath);
+  if (isDryRun()) {
+    stageWrite(filePath, content);
+    commitAction(action);
+    return;
+  }
+
   await ensureDir(path.dirname(filePath));
-  await fs.writeFile(filePath, content, 'utf8');
+  if (options.mode !== undefined) {
+    // A leftover file would keep its old mode, so always create a new one
+    await fs.rm(filePath, { force: true });
+    await fs.writeFile(filePath, content, { encoding: 'utf8', mode: options.mode, flag: 'wx' });
+  } else {
+    await fs.writeFile(filePath, content, 'utf8');
+  }
+  commitAction(action);
 }
 
 /**
@@ -52,6 +73,10 @@ async function writeFile(filePath, content) {
  * @param {string} content - File content
  */
 async function atomicWrite(filePath, content) {
+  if (isDryRun()) {
+    return writeFile(filePath, content);
+  }
+
   const tempPath = `${filePath}.tmp.${Date.now()}`;
   
   try {
@@ -106,6 +131,24 @@ async function exists(filePath) {
   }
 }
 
+/**
+ * Get owner and mode of a path
+ * 
+ * @param {string} targetPath - File or directory path
+ * @returns {Promise<Object|null>} { uid, gid, mode, isDirectory } or null if it does not exist
+ */
+async function statPath(targetPath) {
+  try {
+    const stats = await fs.stat(targetPath);
+    return { uid: stats.uid, gid: stats.gid, mode: stats.mode & 0o7777, isDirectory: stats.isDirectory() };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
 /**
  * Change file permissions (chmod)
  * 
@@ -123,9 +166,15 @@ async function chmod(filePath, mode, config, logger) {
     return;
   }
 
+  if (isDryRun()) {
+    commitAction(prepareChmod(filePath, mode));
+    return;
+  }
+
   try {
     // Try without sudo first
     await fs.chmod(filePath, parseInt(mode, 8));
+    commitAction(prepareChmod(filePath, mode));
     logger.debug(`chmod ${mode} ${filePath} (no sudo)`);
   } catch (error) {
     if (error.code === 'EACCES' || error.code === 'EPERM') {
@@ -139,12 +188,140 @@ async function chmod(filePath, mode, config, logger) {
   }
 }
 
+/**
+ * Ensure directory exists, retrying with sudo on permission errors
+ * 
+ * @param {string} dirPath - Directory path
+ * @param {Logger} logger - Logger instance
+ */
+async function ensureDirSudo(dirPath, logger) {
+  try {
+    await ensureDir(dirPath);
+  } catch (error) {
+    if (error.code === 'EACCES' || error.code === 'EPERM') {
+      logger.debug(`mkdir failed, retrying with sudo: ${error.message}`);
+      await execSudo(['mkdir', '-p', dirPath], logger);
+    } else {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Check if a path exists, asking sudo when it is hidden from this user
+ * 
+ * @param {string} targetPath - File or directory path
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<boolean>} True if exists
+ */
+async function existsSudo(targetPath, logger) {
+  if (await exists(targetPath)) {
+    return true;
+  }
+
+  try {
+    await execSudo(['test', '-e', targetPath], logger);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read file content, retrying with sudo on permission errors
+ * 
+ * @param {string} filePath - File path
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<string|null>} File content or null if the file does not exist
+ */
+async function readFileSudo(filePath, logger) {
+  try {
+    return await readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    if (error.code !== 'EACCES' && error.code !== 'EPERM') {
+      throw error;
+    }
+  }
+
+  logger.debug(`read failed, retrying with sudo: ${filePath}`);
+  try {
+    await execSudo(['test', '-f', filePath], logger);
+  } catch {
+    return null;
+  }
+
+  const result = await execSudo(['cat', filePath], logger);
+  return result.stdout;
+}
+
+/**
+ * Write file content, retrying with sudo on permission errors
+ * 
+ * The sudo path writes a temp file under .runner-data/tmp and copies it.
+ * 
+ * @param {string} filePath - File path
+ * @param {string} content - File content
+ * @param {Object} config - Configuration (for .runner-data location)
+ * @param {Logger} logger - Logger instance
+ */
+async function writeFileSudo(filePath, content, config, logger) {
+  try {
+    await writeFile(filePath, content);
+    return;
+  } catch (error) {
+    if (error.code !== 'EACCES' && error.code !== 'EPERM') {
+      throw error;
+    }
+    logger.debug(`write failed, retrying with sudo: ${error.message}`);
+  }
+
+  const tempPath = path.join(config.cwd, '.runner-data', 'tmp', `${path.basename(filePath)}.${Date.now()}`);
+  await writeFile(tempPath, content);
+
+  try {
+    await execSudo(['mkdir', '-p', path.dirname(filePath)], logger);
+    await execSudo(['cp', tempPath, filePath], logger);
+  } finally {
+    await deleteFile(tempPath);
+  }
+}
+
+/**
+ * Remove a file or directory tree, retrying with sudo on permission errors
+ * 
+ * @param {string} targetPath - File or directory path
+ * @param {Logger} logger - Logger instance
+ */
+async function removePathSudo(targetPath, logger) {
+  if (isDryRun()) {
+    return;
+  }
+
+  try {
+    await fs.rm(targetPath, { recursive: true, force: true });
+  } catch (error) {
+    if (process.platform !== 'win32' && (error.code === 'EACCES' || error.code === 'EPERM')) {
+      logger.debug(`remove failed, retrying with sudo: ${error.message}`);
+      await execSudo(['rm', '-rf', targetPath], logger);
+    } else {
+      throw error;
+    }
+  }
+}
+
 /**
  * Delete file
  * 
  * @param {string} filePath - File path
  */
 async function deleteFile(filePath) {
+  if (isDryRun()) {
+    return;
+  }
+
   try {
     await fs.unlink(filePath);
   } catch (error) {
@@ -162,6 +339,12 @@ module.exports = {
   readJson,
   writeJson,
   exists,
+  statPath,
   chmod,
-  deleteFile
+  deleteFile,
+  ensureDirSudo,
+  existsSudo,
+  readFileSudo,
+  writeFileSudo,
+  removePathSudo
 };
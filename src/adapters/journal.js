@@ -0,0 +1,280 @@
+/**
+ * Journal Adapter
+ *
+ * Collects the mutating actions performed through execSudo, writeFile and
+ * chmod while a journal is open, so setup can store them in the manifest.
+ * Files under .runner-data (logs, temp files, backups) are not journaled.
+ *
+ * In dry-run mode the adapters only record: commands are not run (except
+ * side-effect-free probes) and file contents are staged in memory.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Commands that only read state
+const READ_ONLY_COMMANDS = [
+  ['cat'],
+  ['test'],
+  ['sshd', '-t'],
+  ['visudo', '-c'],
+  ['systemctl', 'is-active'],
+  ['systemctl', 'is-enabled'],
+  ['systemctl', 'show'],
+  ['rc-service', '*', 'status'],
+  ['rc-update', 'show'],
+  ['service', '*', 'status']
+];
+
+// Side-effect-free commands that still run in dry-run mode
+const PROBE_COMMANDS = [
+  ['which'],
+  ['where'],
+  ['getent'],
+  ['id'],
+  ['cat'],
+  ['test'],
+  ['ssh', '-V'],
+  ['ssh', '-Q'],
+  ['ss'],
+  ['systemctl', 'is-active'],
+  ['systemctl', 'is-enabled'],
+  ['systemctl', 'show'],
+  ['rc-service', '*', 'status'],
+  ['rc-update', 'show'],
+  ['service', '*', 'status']
+];
+
+// Through execSudo only file reads run, the rest verifies state a dry run never created
+const SUDO_PROBE_COMMANDS = [['cat'], ['test']];
+
+let journal = null;
+
+/**
+ * Start collecting actions
+ *
+ * @param {string} cwd - Working directory containing .runner-data
+ * @param {Array<Object>} actions - Array that receives the actions
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun=false] - Record only, do not change anything
+ */
+function openJournal(cwd, actions, options = {}) {
+  journal = {
+    dataDir: path.resolve(cwd, '.runner-data'),
+    actions,
+    dryRun: Boolean(options.dryRun),
+    staged: new Map()
+  };
+}
+
+/**
+ * Check whether a dry-run journal is open
+ *
+ * @returns {boolean} True in dry-run mode
+ */
+function isDryRun() {
+  return Boolean(journal && journal.dryRun);
+}
+
+/**
+ * Check whether args start with one of the given command prefixes
+ *
+ * @param {Array<string>} args - Command and arguments
+ * @param {Array<Array<string>>} prefixes - Command prefixes ('*' matches any argument)
+ * @returns {boolean} True if matched
+ */
+function matchesCommand(args, prefixes) {
+  return prefixes.some(prefix => prefix.every((part, index) =>
+    part === '*' ? args[index] !== undefined : args[index] === part));
+}
+
+/**
+ * Check whether a command has to be simulated in dry-run mode
+ *
+ * @param {Array<string>} args - Command and arguments
+ * @param {boolean} [viaExecSudo=false] - Command comes from execSudo
+ * @returns {boolean} True if the command must not run
+ */
+function shouldSimulate(args, viaExecSudo = false) {
+  if (!isDryRun()) {
+    return false;
+  }
+
+  if (viaExecSudo) {
+    return !matchesCommand(args, SUDO_PROBE_COMMANDS);
+  }
+
+  // sudo -n <command> is judged by the wrapped command
+  let command = args;
+  if (command[0] === 'sudo') {
+    command = command.slice(1).filter(arg => arg !== '-n');
+    if (command[0] === '-v') {
+      // Only checks credentials
+      return false;
+    }
+  }
+
+  // PowerShell queries (Get-*) only read state
+  if (command[0] === 'powershell') {
+    return !/^Get-/.test(command[command.length - 1].trim());
+  }
+
+  return !matchesCommand(command, PROBE_COMMANDS);
+}
+
+/**
+ * Stage file content written during a dry run
+ *
+ * @param {string} filePath - File path
+ * @param {string} content - Content that would be written
+ */
+function stageWrite(filePath, content) {
+  if (isDryRun()) {
+    journal.staged.set(path.resolve(filePath), content);
+  }
+}
+
+/**
+ * Get content staged for a file during a dry run
+ *
+ * @param {string} filePath - File path
+ * @returns {string|undefined} Staged content
+ */
+function getStagedContent(filePath) {
+  return journal ? journal.staged.get(path.resolve(filePath)) : undefined;
+}
+
+/**
+ * Stop collecting actions
+ */
+function closeJournal() {
+  journal = null;
+}
+
+/**
+ * Get the sha256 of a file's current content
+ *
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>} "sha256:<hex>" or null if missing/unreadable
+ */
+async function hashFile(filePath) {
+  try {
+    const content = await fs.readFile(filePath);
+    return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a path should be journaled
+ *
+ * @param {string} filePath - File path
+ * @returns {boolean} True if a journal is open and the path is outside .runner-data
+ */
+function isTracked(filePath) {
+  if (!journal) {
+    return false;
+  }
+
+  const resolved = path.resolve(filePath);
+  return resolved !== journal.dataDir && !resolved.startsWith(journal.dataDir + path.sep);
+}
+
+/**
+ * Prepare a file write action (call before writing)
+ *
+ * @param {string} filePath - File about to be written
+ * @returns {Promise<Object|null>} Pending action for commitAction, or null if not journaled
+ */
+async function prepareWrite(filePath) {
+  if (!isTracked(filePath)) {
+    return null;
+  }
+
+  return {
+    action: 'write',
+    path: path.resolve(filePath),
+    previousHash: await hashFile(filePath)
+  };
+}
+
+/**
+ * Prepare a permission change action
+ *
+ * @param {string} filePath - File path
+ * @param {string} mode - Permission mode
+ * @returns {Object|null} Pending action for commitAction, or null if not journaled
+ */
+function prepareChmod(filePath, mode) {
+  if (!isTracked(filePath)) {
+    return null;
+  }
+
+  return { action: 'chmod', path: path.resolve(filePath), mode };
+}
+
+/**
+ * Prepare an execSudo action (call before running the command)
+ *
+ * For cp the destination is hashed before it is overwritten.
+ *
+ * @param {Array<string>} args - Command and arguments
+ * @returns {Promise<Object|null>} Pending action for commitAction, or null if not journaled
+ */
+async function prepareExec(args) {
+  if (!journal) {
+    return null;
+  }
+
+  // A dry run lists every command, read-only checks included
+  if (!journal.dryRun && matchesCommand(args, READ_ONLY_COMMANDS)) {
+    return null;
+  }
+
+  const action = { action: 'exec', command: args.join(' ') };
+  if (args[0] === 'cp') {
+    const target = args[args.length - 1];
+    if (!isTracked(target)) {
+      return null;
+    }
+    action.path = path.resolve(target);
+    action.previousHash = await hashFile(target);
+
+    const source = getStagedContent(args[args.length - 2]);
+    if (source !== undefined) {
+      stageWrite(target, source);
+    }
+  }
+
+  return action;
+}
+
+/**
+ * Record a prepared action once it succeeded
+ *
+ * @param {Object|null} action - Pending action from prepareWrite/prepareChmod/prepareExec
+ * @param {Object} [details] - Extra fields (e.g. { sudo: true })
+ */
+function commitAction(action, details = {}) {
+  if (!action || !journal) {
+    return;
+  }
+
+  journal.actions.push({ ...action, ...details, at: new Date().toISOString() });
+}
+
+module.exports = {
+  openJournal,
+  closeJournal,
+  isDryRun,
+  shouldSimulate,
+  stageWrite,
+  getStagedContent,
+  hashFile,
+  prepareWrite,
+  prepareChmod,
+  prepareExec,
+  commitAction
+};
@@ -0,0 +1,72 @@
+/**
+ * Key Fetcher Adapter
+ *
+ * Fetches public keys for remote usernames. A fetcher is any object with
+ * `fetchKeys(username) => Promise<Array<string>>`, so a custom one can be
+ * passed to setupSSH({ keyFetcher }).
+ */
+
+const { NetworkError } = require('../utils/errors');
+const { splitKeyLines } = require('../utils/sshKeys');
+
+const DEFAULT_GITHUB_URL = 'https://github.com';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Create a fetcher for the GitHub <user>.keys endpoint
+ *
+ * @param {Object} [options] - Fetcher options
+ * @param {string} [options.baseUrl='https://github.com'] - Base URL (override for a local stand-in server)
+ * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+ * @param {Logger} [options.logger] - Logger instance
+ * @returns {Object} Fetcher with fetchKeys(username)
+ */
+function createGitHubKeyFetcher(options = {}) {
+  const baseUrl = (options.baseUrl || DEFAULT_GITHUB_URL).replace(/\/+$/, '');
+  const timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+  const { logger } = options;
+
+  return {
+    name: 'github',
+
+    /**
+     * Fetch public keys for a GitHub username
+     *
+     * @param {string} username - GitHub username
+     * @returns {Promise<Array<string>>} Public key lines
+     * @throws {NetworkError} If the request or reading the body fails, or the status is not 2xx
+     */
+    async fetchKeys(username) {
+      const url = `${baseUrl}/${encodeURIComponent(username)}.keys`;
+
+      if (logger) {
+        logger.debug(`Fetching public keys: ${url}`);
+      }
+
+      let response;
+      try {
+        response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+      } catch (error) {
+        throw new NetworkError(`Failed to fetch keys for "${username}" from ${url}: ${error.message}`);
+      }
+
+      if (!response.ok) {
+        throw new NetworkError(`Failed to fetch keys for "${username}" from ${url}: HTTP ${response.status}`);
+      }
+
+      // The body streams after the headers and can still fail (reset, timeout)
+      let body;
+      try {
+        body = await response.text();
+      } catch (error) {
+        throw new NetworkError(`Failed to read keys for "${username}" from ${url}: ${error.message}`);
+      }
+      return splitKeyLines(body);
+    }
+  };
+}
+
+module.exports = {
+  createGitHubKeyFetcher,
+  DEFAULT_GITHUB_URL
+};
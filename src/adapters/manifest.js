@@ -0,0 +1,144 @@
+/**
+ * Manifest Adapter
+ *
+ * Records what setup changed on the machine in
+ * .runner-data/data-services/manifest.json: high-level changes (files,
+ * packages, services, firewall rules) that teardown undoes, and the raw
+ * actions journaled through execSudo, writeFile and chmod.
+ */
+
+const path = require('path');
+const { readJson, writeJson, exists, deleteFile } = require('./fs');
+const packageJson = require('../../package.json');
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Get the manifest path for a working directory
+ *
+ * @param {string} cwd - Working directory containing .runner-data
+ * @returns {string} Manifest file path
+ */
+function getManifestPath(cwd) {
+  return path.join(cwd, '.runner-data', 'data-services', MANIFEST_FILE);
+}
+
+/**
+ * Create an empty manifest
+ *
+ * @param {string} os - Target OS ('linux' or 'windows')
+ * @returns {Object} Manifest ({ version, os, createdAt, updatedAt, changes, actions })
+ */
+function createManifest(os) {
+  const now = new Date().toISOString();
+
+  return {
+    version: packageJson.version,
+    os,
+    createdAt: now,
+    updatedAt: now,
+    changes: [],
+    actions: []
+  };
+}
+
+/**
+ * Load the manifest
+ *
+ * @param {string} cwd - Working directory containing .runner-data
+ * @returns {Promise<Object|null>} Manifest or null if none was recorded
+ */
+async function loadManifest(cwd) {
+  const manifestPath = getManifestPath(cwd);
+  if (!(await exists(manifestPath))) {
+    return null;
+  }
+
+  const manifest = await readJson(manifestPath);
+  manifest.changes = manifest.changes || [];
+  manifest.actions = manifest.actions || [];
+  return manifest;
+}
+
+/**
+ * Save the manifest
+ *
+ * @param {string} cwd - Working directory containing .runner-data
+ * @param {Object} manifest - Manifest
+ */
+async function saveManifest(cwd, manifest) {
+  manifest.version = packageJson.version;
+  manifest.updatedAt = new Date().toISOString();
+  await writeJson(getManifestPath(cwd), manifest);
+}
+
+/**
+ * Delete the manifest
+ *
+ * @param {string} cwd - Working directory containing .runner-data
+ */
+async function deleteManifest(cwd) {
+  await deleteFile(getManifestPath(cwd));
+}
+
+/**
+ * Get the identity of a change (type + path or name)
+ *
+ * @param {Object} change - Change entry
+ * @returns {string} Change key
+ */
+function getChangeKey(change) {
+  return `${change.type}:${change.path || change.name}`;
+}
+
+/**
+ * Find a recorded change
+ *
+ * @param {Object|null} manifest - Manifest
+ * @param {string} type - Change type
+ * @param {string} pathOrName - Change path or name
+ * @returns {Object|null} Recorded change or null
+ */
+function findChange(manifest, type, pathOrName) {
+  if (!manifest) {
+    return null;
+  }
+
+  const key = getChangeKey({ type, path: pathOrName });
+  return manifest.changes.find(entry => getChangeKey(entry) === key) || null;
+}
+
+/**
+ * Record a change in the manifest
+ *
+ * The first record of a path/name is kept on re-runs, since it describes
+ * the state before runner-add-ssh touched the machine.
+ *
+ * @param {Object} manifest - Manifest
+ * @param {Object} change - Change ({ type, path|name, ... })
+ * @returns {Object} The recorded change
+ */
+function recordChange(manifest, change) {
+  const existing = findChange(manifest, change.type, change.path || change.name);
+  if (existing) {
+    return existing;
+  }
+
+  const entry = {
+    ...change,
+    version: packageJson.version,
+    recordedAt: new Date().toISOString()
+  };
+  manifest.changes.push(entry);
+  return entry;
+}
+
+module.exports = {
+  getManifestPath,
+  createManifest,
+  loadManifest,
+  saveManifest,
+  deleteManifest,
+  findChange,
+  recordChange
+};
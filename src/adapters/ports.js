@@ -0,0 +1,190 @@
+/**
+ * Ports Adapter
+ *
+ * Checks whether sshd will be able to bind a port/address pair, by binding
+ * it briefly and, when it is taken, looking for an SSH banner on it and the
+ * process that owns it. Also counts the connections sshd is serving.
+ */
+
+const net = require('net');
+const { spawnAsync, checkCommand, canSudo } = require('./process');
+
+// How long to wait for an SSH banner from a listener
+const BANNER_TIMEOUT_MS = 1000;
+
+/**
+ * Check a port/address pair
+ *
+ * Status:
+ * - 'free': nothing listens there
+ * - 'ssh': an SSH server already listens there (taken over on restart)
+ * - 'in-use': another program listens there
+ * - 'unavailable': the address is not assigned to this machine
+ * - 'unchecked': binding is not permitted (privileged port) or unsupported
+ *
+ * @param {number} port - Port
+ * @param {string} address - Listen address ('0.0.0.0', '::', '127.0.0.1', ...)
+ * @param {Logger} [logger] - Logger instance
+ * @returns {Promise<Object>} { port, address, status, banner, owner }
+ */
+async function probeListener(port, address, logger) {
+  const result = { port, address, status: 'free', banner: null, owner: null };
+  const error = await tryBind(port, address);
+
+  if (!error) {
+    return result;
+  }
+
+  if (error.code === 'EADDRINUSE') {
+    result.banner = await readBanner(port, address);
+    result.status = result.banner && result.banner.startsWith('SSH-') ? 'ssh' : 'in-use';
+    result.owner = await findPortOwner(port, logger);
+  } else if (error.code === 'EADDRNOTAVAIL') {
+    result.status = 'unavailable';
+  } else {
+    result.status = 'unchecked';
+  }
+
+  if (logger) {
+    logger.debug(`Port ${port} on ${address}: ${result.status} (${error.code})`);
+  }
+
+  return result;
+}
+
+/**
+ * Bind and immediately release a port
+ *
+ * @param {number} port - Port
+ * @param {string} address - Listen address
+ * @returns {Promise<Error|null>} Bind error or null if the port was free
+ */
+function tryBind(port, address) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', resolve);
+    // sshd binds IPv6 sockets v6-only
+    server.listen({ port, host: address, exclusive: true, ipv6Only: net.isIPv6(address) }, () => {
+      server.close(() => resolve(null));
+    });
+  });
+}
+
+/**
+ * Read the first line a listener sends (SSH servers greet first)
+ *
+ * @param {number} port - Port
+ * @param {string} address - Listen address (wildcards are probed on loopback)
+ * @returns {Promise<string|null>} First line or null if nothing was sent
+ */
+function readBanner(port, address) {
+  const host = address === '0.0.0.0' ? '127.0.0.1' : address === '::' ? '::1' : address;
+
+  return new Promise(resolve => {
+    let data = '';
+    const socket = net.connect({ port, host });
+    const finish = () => {
+      socket.destroy();
+      resolve(data ? data.split(/\r?\n/)[0] : null);
+    };
+
+    socket.setTimeout(BANNER_TIMEOUT_MS, finish);
+    socket.on('data', chunk => {
+      data += chunk.toString();
+      if (data.includes('\n')) {
+        finish();
+      }
+    });
+    socket.on('error', finish);
+    socket.on('close', finish);
+  });
+}
+
+/**
+ * Find the process listening on a TCP port
+ *
+ * Linux uses ss (other users' processes are only visible to root, so it
+ * goes through sudo -n when available), Windows Get-NetTCPConnection.
+ *
+ * @param {number} port - Port
+ * @param {Logger} [logger] - Logger instance
+ * @returns {Promise<Object|null>} { name, pid } or null if unknown
+ */
+async function findPortOwner(port, logger) {
+  try {
+    if (process.platform === 'win32') {
+      const result = await spawnAsync('powershell', [
+        '-NoProfile',
+        '-NonInteractive',
+        '-Command',
+        `Get-NetTCPConnection -LocalPort ${port} -State Listen -ErrorAction SilentlyContinue | Select-Object -First 1 | ForEach-Object { $p = Get-Process -Id $_.OwningProcess; "$($p.ProcessName),$($p.Id)" }`
+      ], { logger, warnOnStderr: false });
+      const [name, pid] = result.stdout.trim().split(',');
+      return name ? { name, pid: parseInt(pid, 10) } : null;
+    }
+
+    const args = ['-H', '-ltnp', `sport = :${port}`];
+    let result;
+    if (!canSudo() && await checkCommand('sudo', logger)) {
+      result = await spawnAsync('sudo', ['-n', 'ss', ...args], { logger, warnOnStderr: false })
+        .catch(() => spawnAsync('ss', args, { logger, warnOnStderr: false }));
+    } else {
+      result = await spawnAsync('ss', args, { logger, warnOnStderr: false });
+    }
+    const match = /users:\(\("([^"]+)",pid=(\d+)/.exec(result.stdout);
+    return match ? { name: match[1], pid: parseInt(match[2], 10) } : null;
+  } catch (error) {
+    if (logger) {
+      logger.debug(`Could not find the owner of port ${port}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Count the established TCP connections to local ports
+ *
+ * @param {Array<number>} ports - Local ports
+ * @param {Logger} [logger] - Logger instance
+ * @returns {Promise<number|null>} Connection count or null if it could not be determined
+ */
+async function countConnections(ports, logger) {
+  try {
+    if (process.platform === 'win32') {
+      const result = await spawnAsync('powershell', [
+        '-NoProfile',
+        '-NonInteractive',
+        '-Command',
+        `Get-NetTCPConnection -LocalPort ${ports.join(',')} -State Established -ErrorAction SilentlyContinue | Measure-Object | ForEach-Object { $_.Count }`
+      ], { logger, warnOnStderr: false });
+      return parseInt(result.stdout.trim() || '0', 10);
+    }
+
+    const filter = ports.map(port => `sport = :${port}`).join(' or ');
+    const result = await spawnAsync('ss', ['-H', '-tn', 'state', 'established', `( ${filter} )`], { logger, warnOnStderr: false });
+    return result.stdout.split('\n').filter(line => line.trim()).length;
+  } catch (error) {
+    if (logger) {
+      logger.debug(`Could not count connections on port(s) ${ports.join(', ')}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Describe a listener's owner for messages
+ *
+ * @param {Object} listener - Listener from probeListener
+ * @returns {string} e.g. "nginx (pid 812)" or "another program"
+ */
+function describeOwner(listener) {
+  return listener.owner ? `${listener.owner.name} (pid ${listener.owner.pid})` : 'another program';
+}
+
+module.exports = {
+  probeListener,
+  findPortOwner,
+  countConnections,
+  describeOwner
+};
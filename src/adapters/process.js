@@ -6,6 +6,7 @@
 
 const spawn = require('cross-spawn');
 const { ProcessError } = require('../utils/errors');
+const { prepareExec, commitAction, shouldSimulate } = require('./journal');
 
 /**
  * Spawn a process asynchronously
@@ -21,6 +22,15 @@ const { ProcessError } = require('../utils/errors');
 async function spawnAsync(command, args = [], options = {}) {
   const { logger, captureOutput = true, warnOnStderr = true } = options;
 
+  // Dry run: record instead of running
+  if (shouldSimulate([command, ...args])) {
+    if (logger) {
+      logger.debug(`[dry-run] ${command} ${args.join(' ')}`);
+    }
+    commitAction(await prepareExec([command, ...args]), { sudo: false });
+    return { stdout: '', stderr: '', code: 0 };
+  }
+
   return new Promise((resolve, reject) => {
     if (logger) {
       logger.debug(`Spawning: ${command} ${args.join(' ')}`);
@@ -73,6 +83,55 @@ async function spawnAsync(command, args = [], options = {}) {
   });
 }
 
+/**
+ * Start a background process that outlives this one
+ * 
+ * The child gets its own process group and no stdio, so it keeps running
+ * after the parent exits. In dry-run mode it is only recorded.
+ * 
+ * @param {string} command - Command to run
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} [options] - Options
+ * @param {Logger} [options.logger] - Logger instance
+ * @param {Object} [options.env] - Environment for the child
+ * @returns {Promise<number|null>} Child pid, or null in dry-run mode
+ */
+async function spawnDetached(command, args = [], options = {}) {
+  const { logger, env = process.env } = options;
+
+  if (shouldSimulate([command, ...args])) {
+    if (logger) {
+      logger.debug(`[dry-run] ${command} ${args.join(' ')}`);
+    }
+    commitAction(await prepareExec([command, ...args]), { sudo: false });
+    return null;
+  }
+
+  const action = await prepareExec([command, ...args]);
+
+  return new Promise((resolve, reject) => {
+    if (logger) {
+      logger.debug(`Spawning detached: ${command} ${args.join(' ')}`);
+    }
+
+    const child = spawn(command, args, {
+      detached: true,
+      stdio: 'ignore',
+      windowsHide: true,
+      env
+    });
+
+    child.once('error', (error) => {
+      reject(new ProcessError(`Failed to spawn ${command}: ${error.message}`));
+    });
+    child.once('spawn', () => {
+      commitAction(action, { sudo: false });
+      child.unref();
+      resolve(child.pid);
+    });
+  });
+}
+
 /**
  * Execute command with sudo fallback
  * 
@@ -88,13 +147,24 @@ async function execSudo(args, logger) {
   let sudoError;
 
   const isWindows = process.platform === 'win32';
+  const action = await prepareExec(args);
+
+  // Dry run: record with the sudo mode it would use instead of running
+  if (shouldSimulate(args, true)) {
+    const sudo = !isWindows && await checkCommand('sudo', logger);
+    logger.debug(`[dry-run] ${sudo ? 'sudo ' : ''}${commandLabel}`);
+    commitAction(action, { sudo });
+    return { stdout: '', stderr: '', code: 0 };
+  }
 
   if (!isWindows) {
     const sudoAvailable = await checkCommand('sudo', logger);
     if (sudoAvailable) {
       try {
         logger.debug(`Executing with sudo: ${commandLabel}`);
-        return await spawnAsync('sudo', ['-n', ...args], { logger });
+        const result = await spawnAsync('sudo', ['-n', ...args], { logger });
+        commitAction(action, { sudo: true });
+        return result;
       } catch (error) {
         sudoError = error;
         logger.warn(`Sudo execution failed for "${commandLabel}". Falling back to non-sudo. Reason: ${error.message}`);
@@ -106,7 +176,9 @@ async function execSudo(args, logger) {
 
   try {
     logger.debug(`Executing: ${commandLabel}`);
-    return await spawnAsync(command, cmdArgs, { logger });
+    const result = await spawnAsync(command, cmdArgs, { logger });
+    commitAction(action, { sudo: false });
+    return result;
   } catch (error) {
     if (sudoError) {
       throw new ProcessError(
@@ -187,6 +259,7 @@ async function hasSudoAccess(logger) {
 
 module.exports = {
   spawnAsync,
+  spawnDetached,
   execSudo,
   checkCommand,
   canSudo,
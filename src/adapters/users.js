@@ -0,0 +1,103 @@
+/**
+ * Users Adapter
+ *
+ * Resolves local accounts (home directory, uid/gid, shell) across platforms.
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { spawnAsync } = require('./process');
+
+/**
+ * Parse a passwd line (name:x:uid:gid:gecos:home:shell)
+ *
+ * @param {string} line - passwd entry
+ * @returns {Object|null} User info or null if malformed
+ */
+function parsePasswdLine(line) {
+  const fields = (line || '').trim().split(':');
+  if (fields.length < 7) {
+    return null;
+  }
+
+  return {
+    name: fields[0],
+    uid: parseInt(fields[2], 10),
+    gid: parseInt(fields[3], 10),
+    home: fields[5],
+    shell: fields[6]
+  };
+}
+
+/**
+ * Look up a local user
+ *
+ * Linux: getent passwd, falling back to /etc/passwd.
+ * Windows: profile directory next to the current user's home.
+ *
+ * @param {string} username - Username
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object|null>} { name, uid, gid, home, shell } or null if not found
+ */
+async function lookupUser(username, logger) {
+  if (process.platform === 'win32') {
+    return lookupUserWindows(username);
+  }
+
+  try {
+    const result = await spawnAsync('getent', ['passwd', username], { logger, warnOnStderr: false });
+    return parsePasswdLine(result.stdout.split('\n')[0]);
+  } catch (error) {
+    logger.debug(`getent passwd ${username} failed, reading /etc/passwd: ${error.message}`);
+  }
+
+  try {
+    const content = await fs.readFile('/etc/passwd', 'utf8');
+    const line = content.split('\n').find(entry => entry.split(':')[0] === username);
+    return line ? parsePasswdLine(line) : null;
+  } catch (error) {
+    logger.debug(`Could not read /etc/passwd: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Look up a local user on Windows
+ *
+ * @param {string} username - Username
+ * @returns {Promise<Object|null>} User info or null if no profile exists
+ */
+async function lookupUserWindows(username) {
+  const currentHome = os.homedir();
+  const currentName = path.win32.basename(currentHome);
+  const home = username.toLowerCase() === currentName.toLowerCase()
+    ? currentHome
+    : path.win32.join(path.win32.dirname(currentHome), username);
+
+  try {
+    await fs.access(home);
+  } catch {
+    return null;
+  }
+
+  return { name: username, uid: null, gid: null, home, shell: 'cmd.exe' };
+}
+
+/**
+ * List the groups a local user belongs to (Linux)
+ *
+ * @param {string} username - Username
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Array<string>>} Group names, primary group included
+ */
+async function listUserGroups(username, logger) {
+  const result = await spawnAsync('id', ['-nG', username], { logger, warnOnStderr: false });
+  return result.stdout.trim().split(/\s+/).filter(Boolean);
+}
+
+module.exports = {
+  listUserGroups,
+  lookupUser,
+  parsePasswdLine
+};
@@ -0,0 +1,43 @@
+/**
+ * Remove Command
+ *
+ * Undoes the changes recorded by a previous setup.
+ */
+
+const path = require("path");
+const teardown = require("../../core/teardown");
+const Logger = require("../../utils/logger");
+const { handleError } = require("../../utils/errors");
+
+/**
+ * Remove command handler
+ *
+ * @param {Object} options - Commander options
+ */
+async function removeCommand(options) {
+  const logger = new Logger({
+    cwd: options.cwd || process.cwd(),
+    verbose: options.verbose || false,
+    quiet: options.quiet || false,
+  });
+
+  try {
+    logger.info("🧹 runner-add-ssh - Removing SSH setup...");
+
+    const config = {
+      cwd: path.resolve(options.cwd || process.cwd()),
+      uninstall: options.uninstall || false,
+    };
+
+    const result = await teardown(config, logger);
+    logger.info(
+      `✅ Removed ${result.removed.length} change(s), kept ${result.kept.length}`,
+    );
+
+    process.exit(0);
+  } catch (error) {
+    handleError(error, logger);
+  }
+}
+
+module.exports = removeCommand;
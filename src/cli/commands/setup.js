@@ -5,6 +5,8 @@
  */
 
 const parseInput = require("../../core/parseInput");
+const resolveKeys = require("../../core/resolveKeys");
+const resolveTemplate = require("../../core/resolveTemplate");
 const validate = require("../../core/validate");
 const plan = require("../../core/plan");
 const execute = require("../../core/execute");
@@ -31,11 +33,46 @@ async function setupCommand(options) {
     // All options are already in the options object
     const cliOptions = {
       publicKey: options.publicKey,
+      publicKeyFile: options.publicKeyFile,
+      githubUser: options.githubUser,
+      keyOptions: options.keyOptions,
+      userKeys: options.userKeys,
+      allowedKeyTypes: options.allowedKeyTypes,
+      minRsaBits: options.minRsaBits,
+      trustedUserCAKeys: options.trustedUserCaKey,
+      authorizedPrincipals: options.authorizedPrincipals,
       port: options.port,
+      listenAddresses: options.listenAddresses,
       mode: options.mode,
       allowUsers: options.allowUsers,
+      debugUser: options.debugUser,
+      debugUserShell: options.debugUserShell,
+      debugUserGroups: options.debugUserGroups,
+      debugUserSudo: options.debugUserSudo,
       defaultCwd: options.defaultCwd,
       disableForceCwd: options.disableForceCwd,
+      envSnapshot: options.envSnapshot,
+      envAllow: options.envAllow,
+      envDeny: options.envDeny,
+      configTemplate: options.configTemplate,
+      extraConfig: options.extraConfig,
+      cryptoProfile: options.cryptoProfile,
+      userSettings: options.userSetting,
+      sftpUsers: options.sftpUsers,
+      sftpChroot: options.sftpChroot,
+      forwardingPreset: options.forwardingPreset,
+      allowTcpForwarding: options.allowTcpForwarding,
+      gatewayPorts: options.gatewayPorts,
+      x11Forwarding: options.x11Forwarding,
+      allowAgentForwarding: options.allowAgentForwarding,
+      permitTunnel: options.permitTunnel,
+      allowStreamLocalForwarding: options.allowStreamLocalForwarding,
+      maxLifetime: options.maxLifetime,
+      idleTimeout: options.idleTimeout,
+      expireAction: options.expireAction,
+      banner: options.banner,
+      bannerTemplate: options.bannerTemplate,
+      dryRun: options.dryRun,
       cwd: options.cwd,
       verbose: options.verbose,
       quiet: options.quiet,
@@ -45,6 +82,12 @@ async function setupCommand(options) {
     const config = parseInput(cliOptions);
     logger.debug("Parsed configuration", config);
 
+    // Resolve public keys from files/directories
+    await resolveKeys(config, logger);
+
+    // Load the sshd_config template, if any
+    await resolveTemplate(config, logger);
+
     // Validate configuration
     validate(config);
     logger.info("✅ Configuration validated");
@@ -55,7 +98,11 @@ async function setupCommand(options) {
 
     // Execute the plan
     const result = await execute(executionPlan, config, logger);
-    logger.info("✅ SSH setup completed successfully");
+    logger.info(
+      config.dryRun
+        ? "✅ Dry run completed, nothing was changed"
+        : "✅ SSH setup completed successfully",
+    );
 
     // Report result
     report(result, config, logger);
@@ -0,0 +1,29 @@
+/**
+ * Watchdog Command
+ *
+ * Runs the session watchdog started by setup (not meant to be run by hand).
+ */
+
+const path = require("path");
+const { runWatchdog } = require("../../core/watchdog");
+const Logger = require("../../utils/logger");
+const { handleError } = require("../../utils/errors");
+
+/**
+ * Watchdog command handler
+ *
+ * @param {Object} options - Commander options
+ */
+async function watchdogCommand(options) {
+  const cwd = path.resolve(options.cwd || process.cwd());
+  const logger = new Logger({ cwd, logName: "watchdog", quiet: true });
+
+  try {
+    await runWatchdog(cwd, logger);
+    process.exit(0);
+  } catch (error) {
+    handleError(error, logger);
+  }
+}
+
+module.exports = watchdogCommand;
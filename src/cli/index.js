@@ -4,11 +4,26 @@ const packageJson = require("../../package.json");
 
 // Commands
 const setupCommand = require("./commands/setup");
+const removeCommand = require("./commands/remove");
+const watchdogCommand = require("./commands/watchdog");
+
+/**
+ * Collect repeatable option values into an array
+ *
+ * @param {string} value - Option value
+ * @param {Array<string>} previous - Values collected so far
+ * @returns {Array<string>} Collected values
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
 
 program
   .name("runner-add-ssh")
   .description(packageJson.description)
-  .version(packageJson.version, "-v, --version", "Output the current version");
+  .version(packageJson.version, "-v, --version", "Output the current version")
+  // Options after a subcommand name belong to the subcommand
+  .enablePositionalOptions();
 
 // All options in one place
 program
@@ -17,23 +32,197 @@ program
   .option("--quiet", "Suppress output (errors only)", false)
   .option(
     "--public-key <key>",
-    "SSH public key (overrides SSH_RUNNER_PUBLIC_KEY)",
+    "SSH public key, repeatable (overrides SSH_RUNNER_PUBLIC_KEY)",
+    collect,
+    [],
+  )
+  .option(
+    "--public-key-file <path>",
+    "Public key file or directory of *.pub files (overrides SSH_RUNNER_PUBLIC_KEY_FILE)",
+  )
+  .option(
+    "--github-user <username>",
+    "Install public keys of a GitHub user, repeatable (overrides SSH_GITHUB_USERS)",
+    collect,
+    [],
+  )
+  .option(
+    "--key-options <options>",
+    "Default authorized_keys options for keys without their own (overrides SSH_KEY_OPTIONS)",
+  )
+  .option(
+    "--user-keys <mapping>",
+    'Keys per user, e.g. "root:SHA256:abc;runner:*" (overrides SSH_USER_KEYS)',
+  )
+  .option(
+    "--allowed-key-types <types>",
+    "Comma-separated allowed key algorithms (overrides SSH_ALLOWED_KEY_TYPES)",
+  )
+  .option(
+    "--min-rsa-bits <bits>",
+    "Minimum RSA key size (overrides SSH_MIN_RSA_BITS)",
+    parseInt,
+  )
+  .option(
+    "--trusted-user-ca-key <key>",
+    "Trusted user CA public key, repeatable (overrides SSH_TRUSTED_USER_CA_KEYS)",
+    collect,
+    [],
+  )
+  .option(
+    "--authorized-principals <spec>",
+    'Principals per user, e.g. "runner:alice,bob;root:admins" (overrides SSH_AUTHORIZED_PRINCIPALS)',
+  )
+  .option(
+    "--port <ports>",
+    'SSH port(s): 2222, "2222,2223", auto or a range like 2222-2299 (overrides SSH_PORT)',
+  )
+  .option(
+    "--listen-addresses <addresses>",
+    'Comma-separated listen addresses, e.g. "127.0.0.1,::1" (overrides SSH_LISTEN_ADDRESSES)',
   )
-  .option("--port <number>", "SSH port (overrides SSH_PORT)", parseInt)
   .option("--mode <mode>", "SSH mode: root, user, auto (overrides SSH_MODE)")
   .option("--allow-users <users>", "Allowed users (overrides SSH_ALLOW_USERS)")
   .option(
     "--default-cwd <path>",
     "Default working directory (overrides SSH_DEFAULT_CWD)",
   )
+  .option(
+    "--debug-user <name>",
+    "Create a dedicated throwaway user for SSH, e.g. ci-debug (overrides SSH_DEBUG_USER)",
+  )
+  .option(
+    "--debug-user-shell <path>",
+    "Shell for the debug user (overrides SSH_DEBUG_USER_SHELL)",
+  )
+  .option(
+    "--debug-user-groups <groups>",
+    "Comma-separated groups for the debug user (overrides SSH_DEBUG_USER_GROUPS)",
+  )
+  .option(
+    "--debug-user-sudo",
+    "Give the debug user passwordless sudo (overrides SSH_DEBUG_USER_SUDO)",
+  )
   .option(
     "--disable-force-cwd",
     "Disable ForceCommand (overrides SSH_DISABLE_FORCE_CWD)",
   )
+  .option(
+    "--env-snapshot",
+    "Carry the job's environment into SSH sessions, Linux only (overrides SSH_ENV_SNAPSHOT)",
+  )
+  .option(
+    "--env-allow <patterns>",
+    "Comma-separated variables to capture, e.g. GITHUB_*,PATH (overrides SSH_ENV_ALLOW)",
+  )
+  .option(
+    "--env-deny <patterns>",
+    "Comma-separated variables never to capture (overrides SSH_ENV_DENY)",
+  )
+  .option(
+    "--config-template <path>",
+    "sshd_config template with {{port}}, {{allowUsers}}, ... placeholders (overrides SSH_CONFIG_TEMPLATE)",
+  )
+  .option(
+    "--extra-config <directive>",
+    'Extra sshd_config directive, e.g. "ClientAliveInterval 30", repeatable (overrides SSH_EXTRA_CONFIG)',
+    collect,
+    [],
+  )
+  .option(
+    "--crypto-profile <profile>",
+    "Algorithm profile: modern, intermediate, compat (overrides SSH_CRYPTO_PROFILE)",
+  )
+  .option(
+    "--user-setting <setting>",
+    'Per-user rule as a Match User block, e.g. "contractor: sftp" or "root: shell", repeatable (overrides SSH_USER_SETTINGS)',
+    collect,
+    [],
+  )
+  .option(
+    "--sftp-users <users>",
+    "Comma-separated users limited to SFTP inside --sftp-chroot, Linux only (overrides SSH_SFTP_USERS)",
+  )
+  .option(
+    "--sftp-chroot <path>",
+    "Root-owned directory SFTP users are locked into, e.g. /srv/artifacts (overrides SSH_SFTP_CHROOT)",
+  )
+  .option(
+    "--forwarding-preset <preset>",
+    "Forwarding preset: none forbids all forwarding and tunnels (overrides SSH_FORWARDING_PRESET)",
+  )
+  .option(
+    "--allow-tcp-forwarding <value>",
+    "AllowTcpForwarding: yes, no, local, remote, all (overrides SSH_ALLOW_TCP_FORWARDING)",
+  )
+  .option(
+    "--gateway-ports <value>",
+    "GatewayPorts: yes, no, clientspecified (overrides SSH_GATEWAY_PORTS)",
+  )
+  .option(
+    "--x11-forwarding <value>",
+    "X11Forwarding: yes, no (overrides SSH_X11_FORWARDING)",
+  )
+  .option(
+    "--allow-agent-forwarding <value>",
+    "AllowAgentForwarding: yes, no (overrides SSH_ALLOW_AGENT_FORWARDING)",
+  )
+  .option(
+    "--permit-tunnel <value>",
+    "PermitTunnel: yes, no, point-to-point, ethernet (overrides SSH_PERMIT_TUNNEL)",
+  )
+  .option(
+    "--allow-stream-local-forwarding <value>",
+    "AllowStreamLocalForwarding: yes, no, local, remote, all (overrides SSH_ALLOW_STREAM_LOCAL_FORWARDING)",
+  )
+  .option(
+    "--max-lifetime <duration>",
+    "Revoke access or stop sshd after this long, e.g. 2h (overrides SSH_MAX_LIFETIME)",
+  )
+  .option(
+    "--idle-timeout <duration>",
+    "Revoke access or stop sshd after this long without SSH connections, e.g. 30m (overrides SSH_IDLE_TIMEOUT)",
+  )
+  .option(
+    "--expire-action <action>",
+    "What the watchdog does when a limit is reached: revoke, stop (overrides SSH_EXPIRE_ACTION)",
+  )
+  .option(
+    "--banner",
+    "Show a login banner with the repository, run, runner and session limits (overrides SSH_BANNER)",
+  )
+  .option(
+    "--banner-template <path>",
+    "Banner template with {{repository}}, {{runUrl}}, ... placeholders, implies --banner (overrides SSH_BANNER_TEMPLATE)",
+  )
+  .option(
+    "--dry-run",
+    "Show commands, files and sshd_config diff without changing anything (overrides SSH_DRY_RUN)",
+  )
   .action((options) => {
     // Pass all options directly to setupCommand
     setupCommand(options);
   });
 
+program
+  .command("remove")
+  .description("Undo the changes made by a previous setup (from the recorded manifest)")
+  .option("--cwd <path>", "Working directory for .runner-data", process.cwd())
+  .option("--verbose", "Enable verbose logging", false)
+  .option("--quiet", "Suppress output (errors only)", false)
+  .option("--uninstall", "Also uninstall OpenSSH Server if setup installed it", false)
+  .action((options) => {
+    removeCommand(options);
+  });
+
+// Started detached by setup for SSH_MAX_LIFETIME/SSH_IDLE_TIMEOUT
+program
+  .command("watchdog", { hidden: true })
+  .description("Revoke access or stop sshd once the session limits are reached")
+  .option("--cwd <path>", "Working directory for .runner-data", process.cwd())
+  .action((options) => {
+    watchdogCommand(options);
+  });
+
 // Parse arguments
 program.parse(process.argv);
@@ -1,61 +1,648 @@
 /**
  * Common Executor
  * 
- * Handles SSH key setup that is common across platforms.
+ * Handles SSH key and certificate authority setup that is common across platforms.
  */
 
 const path = require('path');
 const os = require('os');
-const { ensureDir, writeFile, chmod } = require('../../adapters/fs');
+const {
+  writeFile,
+  readFile,
+  chmod,
+  ensureDirSudo,
+  existsSudo,
+  readFileSudo,
+  writeFileSudo,
+  removePathSudo,
+  deleteFile
+} = require('../../adapters/fs');
 const { spawnAsync, execSudo } = require('../../adapters/process');
+const { findChange } = require('../../adapters/manifest');
 const { ProcessError } = require('../../utils/errors');
+const { splitManagedBlock, replaceManagedBlock, removeManagedBlock } = require('../../utils/managedBlock');
+const { getKeyBlob, formatKeyLine, describePublicKey, parsePublicKey } = require('../../utils/sshKeys');
+const {
+  renderTemplate,
+  findPlaceholders,
+  resolveDirectives,
+  mergeDirectives
+} = require('../../utils/sshdConfig');
+const { ALGORITHM_QUERIES, filterCryptoProfile } = require('../../utils/cryptoProfiles');
+const { resolveForwardingPolicy } = require('../../utils/forwardingPolicy');
+const { expandUserSettings } = require('../../utils/userSettings');
+const { renderBanner } = require('../../utils/banner');
+
+// Keepalive probe interval for SSH_IDLE_TIMEOUT (seconds)
+const CLIENT_ALIVE_INTERVAL = 60;
 
 /**
  * Setup authorized_keys for SSH authentication
  * 
+ * Installs keys for every resolved user (defaults to the current user).
+ * 
  * @param {Object} config - Configuration
  * @param {Logger} logger - Logger instance
+ * @param {Array<Object>} [users] - Resolved users from plan ({ name, uid, gid, home })
+ * @param {Object} [manifest] - Manifest from previous runs
+ * @returns {Promise<Array<Object>>} Installed keys per user ({ user, keys, path, backupPath, created })
  */
-async function setupAuthorizedKeys(config, logger) {
+async function setupAuthorizedKeys(config, logger, users, manifest) {
+  const targets = users || [{ name: config.currentUser, home: config.homeDir }];
+  const installed = [];
+
+  for (const user of targets) {
+    const keys = selectUserKeys(config, user.name);
+    const file = await installUserKeys(user, keys, config, logger, manifest);
+    installed.push({ user: user.name, keys: keys.length, ...file });
+  }
+
+  return installed;
+}
+
+/**
+ * Select the key entries that belong to a user
+ * 
+ * config.userKeys maps usernames to selectors (fingerprint, key comment,
+ * key source or "*"). Users without a mapping get every key.
+ * 
+ * @param {Object} config - Configuration
+ * @param {string} username - Username
+ * @returns {Array<Object>} Key entries
+ */
+function selectUserKeys(config, username) {
+  const selectors = (config.userKeys || {})[username];
+  if (!selectors) {
+    return config.publicKeys;
+  }
+
+  return config.publicKeys.filter(entry => {
+    let parsed = null;
+    try {
+      parsed = parsePublicKey(entry.key);
+    } catch {
+      // Unparsable keys are rejected by validate, match on source only
+    }
+
+    return selectors.some(selector =>
+      selector === '*' ||
+      selector === entry.source ||
+      (parsed && (selector === parsed.fingerprint || selector === parsed.comment))
+    );
+  });
+}
+
+/**
+ * Install keys into one user's authorized_keys
+ * 
+ * @param {Object} user - User ({ name, uid, gid, home })
+ * @param {Array<Object>} keys - Key entries
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ * @param {Object} [manifest] - Manifest from previous runs
+ * @returns {Promise<Object>} { path, backupPath, created }
+ */
+async function installUserKeys(user, keys, config, logger, manifest) {
   const platform = process.platform;
-  const homeDir = config.homeDir;
-  const sshDir = path.join(homeDir, '.ssh');
+  const sshDir = path.join(user.home, '.ssh');
   const authorizedKeysPath = path.join(sshDir, 'authorized_keys');
 
   try {
-    logger.debug(`Setting up SSH keys in ${sshDir}...`);
+    logger.debug(`Setting up SSH keys for ${user.name} in ${sshDir}...`);
 
     // Create .ssh directory if it doesn't exist
     logger.debug(`Ensuring .ssh directory exists: ${sshDir}`);
-    await ensureDir(sshDir);
+    await ensureDirSudo(sshDir, logger);
 
-    // Write authorized_keys
-    logger.debug(`Writing public key to ${authorizedKeysPath}`);
-    const publicKeyContent = config.publicKey.trim() + '\n';
-    await writeFile(authorizedKeysPath, publicKeyContent);
+    // Merge our keys into the managed block, keep everything else
+    const existingContent = await readFileSudo(authorizedKeysPath, logger) || '';
+    logger.debug(`Writing ${keys.length} public key(s) to managed block in ${authorizedKeysPath}`);
+    keys.forEach(entry => {
+      logger.debug(`  - ${describePublicKey(entry.key) || entry.source}`);
+    });
+    const mergedContent = mergeAuthorizedKeys(
+      existingContent,
+      keys.map(formatKeyLine),
+      logger
+    );
+
+    // A previous run already backed up the original file
+    const previous = findChange(manifest, 'managed-block', authorizedKeysPath);
+    let backupPath = previous ? previous.backupPath : null;
+    if (!previous && existingContent) {
+      backupPath = await backupAuthorizedKeys(authorizedKeysPath, existingContent, user, config, logger);
+    }
+
+    if (mergedContent === existingContent) {
+      logger.debug(`${authorizedKeysPath} is already up to date`);
+    } else {
+      await writeFileSudo(authorizedKeysPath, mergedContent, config, logger);
+    }
 
     // Set permissions based on platform
     if (platform === 'linux') {
-      await setupPermissionsLinux(sshDir, authorizedKeysPath, config, logger);
+      await setupPermissionsLinux(sshDir, authorizedKeysPath, user, config, logger);
     } else if (platform === 'win32') {
-      await setupPermissionsWindows(sshDir, authorizedKeysPath, config, logger);
+      await setupPermissionsWindows(sshDir, authorizedKeysPath, user, config, logger);
+    }
+
+    logger.debug(`SSH keys setup complete for ${user.name}`);
+
+    return {
+      path: authorizedKeysPath,
+      backupPath,
+      created: previous ? previous.created : !existingContent
+    };
+  } catch (error) {
+    throw new ProcessError(`Failed to setup SSH keys for ${user.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Get file locations used for certificate authentication
+ * 
+ * @param {string} [platform=process.platform] - Target platform
+ * @returns {Object} { baseDir, caKeysPath, principalsDir, principalsFile }
+ */
+function getCertificateAuthPaths(platform = process.platform) {
+  const pathApi = platform === 'win32' ? path.win32 : path.posix;
+  const baseDir = platform === 'win32'
+    ? 'C:\\ProgramData\\ssh\\runner-add-ssh'
+    : '/etc/ssh/runner-add-ssh';
+  const principalsDir = pathApi.join(baseDir, 'principals');
+
+  return {
+    baseDir,
+    caKeysPath: pathApi.join(baseDir, 'trusted_user_ca_keys'),
+    principalsDir,
+    // %u is expanded by sshd to the login user
+    principalsFile: pathApi.join(principalsDir, '%u')
+  };
+}
+
+/**
+ * Render sshd_config from a template and apply the extra directives
+ * 
+ * The user template (SSH_CONFIG_TEMPLATE) replaces the built-in one. Port
+ * and ListenAddress lines replace the template's when it has no
+ * {{listenConfig}} placeholder, forwarding settings and the banner likewise
+ * without {{forwardingConfig}} / {{bannerConfig}}, and per-user Match blocks are appended without
+ * {{matchConfig}}. The keepalive settings for SSH_IDLE_TIMEOUT
+ * and the crypto profile replace the template's lines, and SSH_EXTRA_CONFIG
+ * lines replace all of these (later extra lines win over earlier ones).
+ * 
+ * @param {string} defaultTemplate - Built-in template for the platform
+ * @param {Object} values - Placeholder values
+ * @param {Object} config - Configuration (configTemplateContent, extraConfig)
+ * @param {Object|null} [crypto] - Resolved crypto profile (see resolveCryptoProfile)
+ * @returns {string} sshd_config content
+ */
+function renderSSHDConfig(defaultTemplate, values, config, crypto) {
+  const template = config.configTemplateContent || defaultTemplate;
+  let content = renderTemplate(template, values);
+
+  // Match blocks must come last, the merges below insert before them
+  if (!findPlaceholders(template).includes('matchConfig') && values.matchConfig) {
+    content = `${content.trimEnd()}\n${values.matchConfig}`;
+  }
+
+  // Templates without {{listenConfig}} still get every port and address
+  if (!findPlaceholders(template).includes('listenConfig')) {
+    content = mergeDirectives(
+      content,
+      resolveDirectives(values.listenConfig.split('\n')),
+      '# Listen (SSH_PORT, SSH_LISTEN_ADDRESSES)'
+    );
+  }
+
+  if (!findPlaceholders(template).includes('bannerConfig') && values.bannerConfig) {
+    content = mergeDirectives(content, resolveDirectives(values.bannerConfig.split('\n')), '# Login banner');
+  }
+
+  if (!findPlaceholders(template).includes('forwardingConfig')) {
+    content = mergeDirectives(
+      content,
+      resolveForwardingPolicy(config, config.platform).map(setting => ({
+        keyword: setting.name.toLowerCase(),
+        name: setting.name,
+        args: setting.value
+      })),
+      '# Forwarding policy'
+    );
+  }
+
+  const clientAlive = generateClientAliveDirectives(config);
+  if (clientAlive.length > 0) {
+    content = mergeDirectives(content, clientAlive, '# Session timeouts (SSH_IDLE_TIMEOUT)');
+  }
+
+  if (crypto) {
+    content = mergeDirectives(
+      content,
+      crypto.directives.map(directive => ({
+        keyword: directive.name.toLowerCase(),
+        name: directive.name,
+        args: directive.algorithms.join(',')
+      })),
+      `# Crypto profile: ${crypto.profile}`
+    );
+  }
+
+  return mergeDirectives(
+    content,
+    resolveDirectives(config.extraConfig || []),
+    '# Extra directives (SSH_EXTRA_CONFIG)'
+  );
+}
+
+/**
+ * Generate the Port and ListenAddress lines
+ * 
+ * Without listen addresses sshd listens on every interface.
+ * 
+ * @param {Object} config - Configuration (ports, listenAddresses)
+ * @returns {string} Config lines
+ */
+function generateListenConfig(config) {
+  return [
+    ...config.ports.map(port => `Port ${port}`),
+    ...config.listenAddresses.map(address => `ListenAddress ${address}`)
+  ].join('\n');
+}
+
+/**
+ * Generate the forwarding policy lines
+ * 
+ * Only configured settings are written, the others keep the sshd default.
+ * 
+ * @param {Object} config - Configuration (forwardingPreset, allowTcpForwarding, ...)
+ * @param {string} platform - Target platform ('linux' or 'win32')
+ * @returns {string} Config lines (empty when nothing is configured)
+ */
+function generateForwardingConfig(config, platform) {
+  const settings = resolveForwardingPolicy(config, platform);
+  if (settings.length === 0) {
+    return '';
+  }
+
+  return ['', '# Forwarding', ...settings.map(setting => `${setting.name} ${setting.value}`)].join('\n') + '\n';
+}
+
+/**
+ * Generate the per-user Match blocks (SSH_USER_SETTINGS)
+ * 
+ * A closing "Match all" keeps whatever follows our config (the rest of the
+ * main sshd_config in managed-block mode) unconditional.
+ * 
+ * @param {Object} config - Configuration (userSettings)
+ * @param {string} workspaceCommand - Command of the workspace preset
+ * @returns {string} Config lines (empty without per-user settings)
+ */
+function generateMatchConfig(config, workspaceCommand) {
+  const users = Object.keys(config.userSettings || {});
+  if (users.length === 0) {
+    return '';
+  }
+
+  const lines = [''];
+  users.forEach(user => {
+    lines.push(`Match User ${user}`);
+    expandUserSettings(config.userSettings[user], workspaceCommand).forEach(directive => {
+      lines.push(`    ${directive.name} ${directive.args}`);
+    });
+  });
+  lines.push('Match all');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Generate the keepalive directives for SSH_IDLE_TIMEOUT
+ * 
+ * sshd drops a connection whose client stopped answering keepalives for
+ * about the idle timeout. Sessions that are merely unused stay open, those
+ * are closed by the watchdog.
+ * 
+ * @param {Object} config - Configuration (idleTimeout)
+ * @returns {Array<Object>} Directives ({ keyword, name, args }), empty without an idle timeout
+ */
+function generateClientAliveDirectives(config) {
+  if (!config.idleTimeout) {
+    return [];
+  }
+
+  const interval = Math.min(CLIENT_ALIVE_INTERVAL, config.idleTimeout);
+  const countMax = Math.max(1, Math.ceil(config.idleTimeout / interval));
+
+  return [
+    { keyword: 'clientaliveinterval', name: 'ClientAliveInterval', args: String(interval) },
+    { keyword: 'clientalivecountmax', name: 'ClientAliveCountMax', args: String(countMax) }
+  ];
+}
+
+/**
+ * Resolve the crypto profile against the installed OpenSSH
+ * 
+ * Algorithms `ssh -Q` does not list are dropped. Releases before 8.5 only
+ * know PubkeyAcceptedKeyTypes, which is emitted instead there.
+ * 
+ * @param {Object} config - Configuration (cryptoProfile)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object|null>} { profile, directives, dropped, filtered } or null without a profile
+ */
+async function resolveCryptoProfile(config, logger) {
+  if (!config.cryptoProfile) {
+    return null;
+  }
+
+  const results = {};
+  const query = async (name) => {
+    if (!(name in results)) {
+      try {
+        const result = await spawnAsync('ssh', ['-Q', name], { logger, warnOnStderr: false });
+        results[name] = result.stdout.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+      } catch (error) {
+        logger.debug(`ssh -Q ${name} failed: ${error.message}`);
+        results[name] = null;
+      }
+    }
+    return results[name];
+  };
+
+  const supported = {};
+  for (const directive of Object.keys(ALGORITHM_QUERIES)) {
+    const algorithms = new Set();
+    for (const name of ALGORITHM_QUERIES[directive]) {
+      (await query(name) || []).forEach(algorithm => algorithms.add(algorithm));
+    }
+    supported[directive] = [...algorithms];
+  }
+
+  const filtered = Object.keys(supported).every(directive => supported[directive].length > 0);
+  if (!filtered) {
+    logger.warn(`Could not list the algorithms supported by OpenSSH (ssh -Q), using crypto profile "${config.cryptoProfile}" unfiltered`);
+  }
+
+  const { directives, dropped } = filterCryptoProfile(config.cryptoProfile, filtered ? supported : null);
+  dropped.forEach(entry => {
+    logger.debug(`Crypto profile: ${entry.directive} ${entry.algorithm} is not supported, dropped`);
+  });
+
+  if (filtered && results.PubkeyAcceptedAlgorithms === null) {
+    directives
+      .filter(directive => directive.name === 'PubkeyAcceptedAlgorithms')
+      .forEach(directive => { directive.name = 'PubkeyAcceptedKeyTypes'; });
+  }
+
+  return { profile: config.cryptoProfile, directives, dropped, filtered };
+}
+
+/**
+ * Generate the sshd_config lines for certificate authentication
+ * 
+ * @param {Object} config - Configuration
+ * @param {string} platform - Target platform ('linux' or 'win32')
+ * @returns {string} Config lines (empty when no CA is configured)
+ */
+function generateCertificateConfig(config, platform) {
+  if (!config.trustedUserCAKeys || config.trustedUserCAKeys.length === 0) {
+    return '';
+  }
+
+  const paths = getCertificateAuthPaths(platform);
+  const lines = [
+    '',
+    '# Certificate authentication',
+    `TrustedUserCAKeys ${paths.caKeysPath}`
+  ];
+
+  if (Object.keys(config.authorizedPrincipals).length > 0) {
+    lines.push(`AuthorizedPrincipalsFile ${paths.principalsFile}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Get the login banner location
+ * 
+ * Kept outside the CA directory, which the watchdog removes on revoke.
+ * 
+ * @param {string} [platform=process.platform] - Target platform
+ * @returns {string} Banner file path
+ */
+function getBannerPath(platform = process.platform) {
+  return platform === 'win32'
+    ? 'C:\\ProgramData\\ssh\\runner-add-ssh-banner.txt'
+    : '/etc/ssh/runner-add-ssh-banner';
+}
+
+/**
+ * Generate the Banner line for the login banner
+ * 
+ * @param {Object} config - Configuration (banner)
+ * @param {string} platform - Target platform ('linux' or 'win32')
+ * @returns {string} Config lines (empty without SSH_BANNER)
+ */
+function generateBannerConfig(config, platform) {
+  if (!config.banner) {
+    return '';
+  }
+
+  return ['', '# Login banner', `Banner ${getBannerPath(platform)}`].join('\n') + '\n';
+}
+
+/**
+ * Write the login banner (root/SYSTEM-owned, readable by sshd)
+ * 
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<string>} Banner file path
+ */
+async function installBanner(config, logger) {
+  const platform = process.platform;
+  const target = getBannerPath(platform);
+  const content = renderBanner(config);
+
+  try {
+    logger.debug(`Writing login banner to ${target}`);
+    if (platform === 'win32') {
+      await writeFile(target, content);
+      await setupSystemFileWindows(target, logger);
+    } else {
+      await installRootFileLinux(target, content, config, logger);
+    }
+    return target;
+  } catch (error) {
+    throw new ProcessError(`Failed to install login banner: ${error.message}`);
+  }
+}
+
+/**
+ * Setup certificate authentication (TrustedUserCAKeys + principals files)
+ * 
+ * Files are owned by root/SYSTEM and not writable by others, as sshd requires.
+ * 
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ */
+async function setupCertificateAuth(config, logger) {
+  const platform = process.platform;
+  const paths = getCertificateAuthPaths(platform);
+  const files = [
+    { target: paths.caKeysPath, content: config.trustedUserCAKeys.join('\n') + '\n' }
+  ];
+
+  Object.keys(config.authorizedPrincipals).forEach(user => {
+    files.push({
+      target: paths.principalsFile.replace('%u', user),
+      content: config.authorizedPrincipals[user].join('\n') + '\n'
+    });
+  });
+
+  try {
+    logger.debug(`Writing ${files.length} certificate auth file(s) to ${paths.baseDir}`);
+
+    for (const file of files) {
+      if (platform === 'win32') {
+        await writeFile(file.target, file.content);
+        await setupSystemFileWindows(file.target, logger);
+      } else {
+        await installRootFileLinux(file.target, file.content, config, logger);
+      }
     }
 
-    logger.debug('SSH keys setup complete');
+    logger.debug('Certificate authentication setup complete');
   } catch (error) {
-    throw new ProcessError(`Failed to setup SSH keys: ${error.message}`);
+    throw new ProcessError(`Failed to setup certificate authentication: ${error.message}`);
+  }
+}
+
+/**
+ * Install a root-owned file on Linux (via temp file + sudo)
+ * 
+ * The staged copy is private (600), since some of these files carry job
+ * data (env snapshot). A parent directory created here is made 755; an
+ * existing one keeps its owner and mode.
+ * 
+ * @param {string} target - Destination path
+ * @param {string} content - File content
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ * @param {string} [mode='644'] - File mode
+ * @param {string} [owner='root:root'] - File owner (the directory stays root-owned)
+ */
+async function installRootFileLinux(target, content, config, logger, mode = '644', owner = 'root:root') {
+  const tempPath = path.join(config.cwd, '.runner-data', 'tmp', path.basename(target));
+  await writeFile(tempPath, content, { mode: 0o600 });
+
+  try {
+    const targetDir = path.dirname(target);
+    if (!await existsSudo(targetDir, logger)) {
+      await execSudo(['mkdir', '-p', targetDir], logger);
+      await execSudo(['chmod', '755', targetDir], logger);
+    }
+    await execSudo(['cp', tempPath, target], logger);
+    await execSudo(['chown', owner, target], logger);
+    await execSudo(['chmod', mode, target], logger);
+  } finally {
+    await deleteFile(tempPath);
   }
 }
 
+/**
+ * Restrict a file to SYSTEM and Administrators on Windows
+ * 
+ * @param {string} target - File path
+ * @param {Logger} logger - Logger instance
+ */
+async function setupSystemFileWindows(target, logger) {
+  const aclCommands = [
+    `icacls "${target}" /inheritance:r`,
+    `icacls "${target}" /grant "SYSTEM:F"`,
+    `icacls "${target}" /grant "Administrators:F"`
+  ];
+
+  for (const cmd of aclCommands) {
+    try {
+      await spawnAsync('cmd', ['/c', cmd], { logger });
+    } catch (err) {
+      logger.debug(`ACL command warning: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Back up authorized_keys under .runner-data/backups
+ * 
+ * @param {string} authorizedKeysPath - authorized_keys file path
+ * @param {string} content - Current file content
+ * @param {Object} user - User ({ name })
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<string>} Backup file path
+ */
+async function backupAuthorizedKeys(authorizedKeysPath, content, user, config, logger) {
+  const backupPath = path.join(
+    config.cwd,
+    '.runner-data',
+    'backups',
+    `authorized_keys.${user.name}.${Date.now()}.bak`
+  );
+
+  logger.debug(`Backing up ${authorizedKeysPath} to ${backupPath}`);
+  await writeFile(backupPath, content);
+  await chmod(backupPath, '600', config, logger);
+
+  return backupPath;
+}
+
+/**
+ * Merge public keys into the managed block of an authorized_keys file
+ * 
+ * Keys already present outside the block (or repeated in the list) are
+ * skipped by comparing key blobs. Lines outside the block are kept as-is.
+ * 
+ * @param {string} existingContent - Current authorized_keys content
+ * @param {Array<string>} keyLines - authorized_keys lines to install
+ * @param {Logger} logger - Logger instance
+ * @returns {string} Merged content
+ */
+function mergeAuthorizedKeys(existingContent, keyLines, logger) {
+  const { before, after } = splitManagedBlock(existingContent);
+  const seenBlobs = new Set(
+    [...before, ...after].map(getKeyBlob).filter(Boolean)
+  );
+
+  const blockLines = [];
+  for (const keyLine of keyLines) {
+    const line = keyLine.trim();
+    const blob = getKeyBlob(line);
+
+    if (blob && seenBlobs.has(blob)) {
+      logger.debug('Key already present in authorized_keys, skipping duplicate');
+      continue;
+    }
+
+    if (blob) {
+      seenBlobs.add(blob);
+    }
+    blockLines.push(line);
+  }
+
+  return replaceManagedBlock(existingContent, blockLines);
+}
+
 /**
  * Setup permissions on Linux
  * 
  * @param {string} sshDir - .ssh directory path
  * @param {string} authorizedKeysPath - authorized_keys file path
+ * @param {Object} user - User ({ name, uid, gid })
  * @param {Object} config - Configuration
  * @param {Logger} logger - Logger instance
  */
-async function setupPermissionsLinux(sshDir, authorizedKeysPath, config, logger) {
+async function setupPermissionsLinux(sshDir, authorizedKeysPath, user, config, logger) {
   try {
     logger.debug('Setting permissions (Linux)...');
 
@@ -66,9 +653,9 @@ async function setupPermissionsLinux(sshDir, authorizedKeysPath, config, logger)
     await chmod(authorizedKeysPath, '600', config, logger);
 
     // Ensure ownership (for sudo case)
-    const currentUser = config.currentUser;
+    const owner = Number.isInteger(user.uid) ? `${user.uid}:${user.gid}` : `${user.name}:${user.name}`;
     try {
-      await execSudo(['chown', '-R', `${currentUser}:${currentUser}`, sshDir], logger);
+      await execSudo(['chown', '-R', owner, sshDir], logger);
     } catch (err) {
       logger.debug('chown failed (might not need sudo):', err.message);
     }
@@ -84,22 +671,21 @@ async function setupPermissionsLinux(sshDir, authorizedKeysPath, config, logger)
  * 
  * @param {string} sshDir - .ssh directory path
  * @param {string} authorizedKeysPath - authorized_keys file path
+ * @param {Object} user - User ({ name })
  * @param {Object} config - Configuration
  * @param {Logger} logger - Logger instance
  */
-async function setupPermissionsWindows(sshDir, authorizedKeysPath, config, logger) {
+async function setupPermissionsWindows(sshDir, authorizedKeysPath, user, config, logger) {
   try {
     logger.debug('Setting permissions (Windows)...');
 
     // On Windows, set ACLs for authorized_keys
-    // Remove inheritance and grant full control to current user only
-    const currentUser = config.currentUser;
-    
+    // Remove inheritance and grant full control to the owning user only
     const aclCommands = [
       // Disable inheritance
       `icacls "${authorizedKeysPath}" /inheritance:r`,
-      // Grant full control to current user
-      `icacls "${authorizedKeysPath}" /grant "${currentUser}:F"`,
+      // Grant full control to the owning user
+      `icacls "${authorizedKeysPath}" /grant "${user.name}:F"`,
       // Grant read to SYSTEM (required for sshd)
       `icacls "${authorizedKeysPath}" /grant "SYSTEM:F"`
     ];
@@ -119,6 +705,67 @@ async function setupPermissionsWindows(sshDir, authorizedKeysPath, config, logge
   }
 }
 
+/**
+ * Remove the runner-add-ssh block from an authorized_keys file
+ * 
+ * Keys added by others are kept. A file we created is deleted once empty.
+ * 
+ * @param {Object} change - Manifest change ({ path, created })
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ */
+async function removeAuthorizedKeysBlock(change, config, logger) {
+  const content = await readFileSudo(change.path, logger);
+  if (content === null) {
+    logger.debug(`${change.path} no longer exists, nothing to remove`);
+    return;
+  }
+
+  const remaining = removeManagedBlock(content);
+  if (change.created && !remaining.trim()) {
+    logger.debug(`Deleting ${change.path} (created by runner-add-ssh)`);
+    await removePathSudo(change.path, logger);
+  } else {
+    logger.debug(`Removing managed block from ${change.path}`);
+    await writeFileSudo(change.path, remaining, config, logger);
+  }
+}
+
+/**
+ * Restore a file from its backup, or delete it if it did not exist before
+ * 
+ * @param {Object} change - Manifest change ({ path, backupPath })
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ */
+async function restoreFile(change, config, logger) {
+  if (change.backupPath) {
+    logger.debug(`Restoring ${change.path} from ${change.backupPath}`);
+    const content = await readFile(change.backupPath);
+    await writeFileSudo(change.path, content, config, logger);
+  } else {
+    logger.debug(`Deleting ${change.path} (created by runner-add-ssh)`);
+    await removePathSudo(change.path, logger);
+  }
+}
+
 module.exports = {
-  setupAuthorizedKeys
+  setupAuthorizedKeys,
+  selectUserKeys,
+  setupCertificateAuth,
+  getCertificateAuthPaths,
+  generateCertificateConfig,
+  getBannerPath,
+  generateBannerConfig,
+  installBanner,
+  generateListenConfig,
+  generateForwardingConfig,
+  generateMatchConfig,
+  generateClientAliveDirectives,
+  renderSSHDConfig,
+  resolveCryptoProfile,
+  installRootFileLinux,
+  mergeAuthorizedKeys,
+  removeAuthorizedKeysBlock,
+  restoreFile
 };
@@ -4,15 +4,28 @@
  * Coordinates the execution of SSH setup based on the plan.
  */
 
+const path = require('path');
 const linuxExecutor = require('./linux');
 const windowsExecutor = require('./windows');
 const commonExecutor = require('./common');
 const { ProcessError } = require('../../utils/errors');
 const { hasSudoAccess } = require('../../adapters/process');
+const { createManifest, loadManifest, saveManifest, recordChange } = require('../../adapters/manifest');
+const { openJournal, closeJournal, getStagedContent } = require('../../adapters/journal');
+const { readFileSudo } = require('../../adapters/fs');
+const { createUnifiedDiff } = require('../../utils/diff');
+const { startWatchdog } = require('../watchdog');
 
 /**
  * Execute the SSH setup plan
  * 
+ * Every change is recorded in the manifest as soon as it is made, so a
+ * partially failed setup can still be torn down. Changes already recorded
+ * by a previous run are reused (no new backups, unchanged files skipped).
+ * 
+ * With config.dryRun the same steps run against a dry-run journal: nothing
+ * is changed and result.dryRun lists the commands and files instead.
+ * 
  * @param {Object} plan - Execution plan from plan()
  * @param {Object} config - Configuration
  * @param {Logger} logger - Logger instance
@@ -23,18 +36,47 @@ async function execute(plan, config, logger) {
     installed: false,
     configured: false,
     keysSetup: false,
+    users: [],
+    certificateAuth: false,
+    debugUser: null,
+    sshdConfig: null,
+    ports: plan.ports || [],
+    distro: plan.distro || null,
+    initSystem: plan.initSystem || null,
+    service: null,
     serviceStarted: false,
+    sftpChroot: null,
+    banner: null,
+    envSnapshot: null,
+    watchdog: null,
     steps: []
   };
 
+  const dryRun = Boolean(config.dryRun);
+  const manifest = (await loadManifest(config.cwd)) || createManifest(plan.os);
+  const record = async (change) => {
+    if (dryRun) {
+      return;
+    }
+    recordChange(manifest, change);
+    await saveManifest(config.cwd, manifest);
+  };
+  const actions = dryRun ? [] : manifest.actions;
+  openJournal(config.cwd, actions, { dryRun });
+
   try {
-    logger.info(`🔧 Executing plan for OS: ${plan.os}`);
+    logger.info(`🔧 ${dryRun ? 'Dry run of' : 'Executing'} plan for OS: ${plan.os}`);
     logger.info(`   Steps: ${plan.steps.join(' → ')}`);
+    if (dryRun) {
+      logger.info('   Nothing will be changed on this machine');
+    }
     logger.info('');
 
     if (plan.os === 'linux') {
       const sudoAccess = await hasSudoAccess(logger);
-      if (!sudoAccess) {
+      if (!sudoAccess && dryRun) {
+        logger.warn('⚠️  No root or passwordless sudo: the commands below would fail');
+      } else if (!sudoAccess) {
         throw new ProcessError('Insufficient privileges to configure SSH. Run as root or configure passwordless sudo.');
       }
 
@@ -42,29 +84,91 @@ async function execute(plan, config, logger) {
       
       if (plan.needsInstall) {
         logger.info('📦 Installing OpenSSH Server...');
-        await linuxExecutor.installSSH(config, logger);
+        const installedPackage = await linuxExecutor.installSSH(config, logger);
+        await record({ type: 'package', ...installedPackage });
         result.installed = true;
         result.steps.push('installed');
         logger.info('✅ Installation complete');
         logger.info('');
       }
 
+      if (config.debugUser) {
+        logger.info(`👤 Creating debug user ${config.debugUser}...`);
+        const debugUser = await linuxExecutor.createDebugUser(config, logger);
+        plan.users = plan.users.map(user => (user.name === debugUser.name ? debugUser : user));
+        result.debugUser = debugUser.record;
+        if (debugUser.record.created) {
+          await record({ type: 'user', name: debugUser.name });
+        } else if (debugUser.record.addedGroups.length > 0) {
+          await record({ type: 'group-membership', name: debugUser.name, groups: debugUser.record.addedGroups });
+        }
+        if (debugUser.record.sudoersFile) {
+          await record({ type: 'file', path: debugUser.record.sudoersFile, backupPath: null });
+        }
+        result.steps.push('user-created');
+        logger.info('✅ Debug user ready');
+        logger.info('');
+      }
+
+      if (config.trustedUserCAKeys.length > 0) {
+        logger.info('📜 Setting up certificate authentication...');
+        await commonExecutor.setupCertificateAuth(config, logger);
+        await record({ type: 'directory', path: commonExecutor.getCertificateAuthPaths().baseDir });
+        result.certificateAuth = true;
+        result.steps.push('certificate-auth');
+        logger.info('✅ Certificate authentication setup complete');
+        logger.info('');
+      }
+
+      if (config.sftpUsers.length > 0) {
+        logger.info('📁 Preparing SFTP chroot...');
+        result.sftpChroot = await linuxExecutor.prepareChroot(config, logger);
+        if (result.sftpChroot.created) {
+          await record({ type: 'directory', path: result.sftpChroot.created });
+        }
+        result.steps.push('sftp-chroot');
+        logger.info(`✅ ${result.sftpChroot.path} ready for ${config.sftpUsers.join(', ')}`);
+        logger.info('');
+      }
+
+      if (config.banner) {
+        logger.info('🪧 Writing login banner...');
+        result.banner = await commonExecutor.installBanner(config, logger);
+        await record({ type: 'file', path: result.banner, backupPath: null });
+        result.steps.push('banner');
+        logger.info('✅ Login banner written');
+        logger.info('');
+      }
+
       logger.info('⚙️  Configuring SSH Server...');
-      await linuxExecutor.configureSSH(config, logger);
+      result.sshdConfig = await linuxExecutor.configureSSH(config, logger, manifest);
+      await recordSSHDConfig(result.sshdConfig, record);
       result.configured = true;
       result.steps.push('configured');
       logger.info('✅ Configuration complete');
       logger.info('');
 
+      if (config.envSnapshot) {
+        logger.info('🌱 Capturing job environment for SSH sessions...');
+        result.envSnapshot = await linuxExecutor.installEnvSnapshot(config, logger, plan.users.filter(user => !user.skipReason));
+        await record({ type: 'directory', path: path.dirname(result.envSnapshot.path) });
+        await record({ type: 'file', path: result.envSnapshot.profilePath, backupPath: null });
+        result.steps.push('env-snapshot');
+        logger.info(`✅ ${result.envSnapshot.variables.length} variable(s) captured`);
+        logger.info('');
+      }
+
       logger.info('🔑 Setting up SSH keys...');
-      await commonExecutor.setupAuthorizedKeys(config, logger);
+      result.users = await setupUserKeys(plan, config, logger, manifest, record);
       result.keysSetup = true;
       result.steps.push('keys-setup');
       logger.info('✅ SSH keys setup complete');
       logger.info('');
 
       logger.info('🚀 Starting SSH service...');
-      await linuxExecutor.startSSH(config, logger);
+      const linuxService = await linuxExecutor.startSSH(config, logger);
+      await record({ type: 'service', ...linuxService });
+      result.service = linuxService;
       result.serviceStarted = true;
       result.steps.push('service-started');
       logger.info('✅ SSH service started');
@@ -75,42 +179,193 @@ async function execute(plan, config, logger) {
       
       if (plan.needsInstall) {
         logger.info('📦 Installing OpenSSH Server...');
-        await windowsExecutor.installSSH(config, logger);
+        const installedPackage = await windowsExecutor.installSSH(config, logger);
+        if (installedPackage) {
+          await record({ type: 'package', ...installedPackage });
+        }
         result.installed = true;
         result.steps.push('installed');
         logger.info('✅ Installation complete');
         logger.info('');
       }
 
+      if (config.trustedUserCAKeys.length > 0) {
+        logger.info('📜 Setting up certificate authentication...');
+        await commonExecutor.setupCertificateAuth(config, logger);
+        await record({ type: 'directory', path: commonExecutor.getCertificateAuthPaths().baseDir });
+        result.certificateAuth = true;
+        result.steps.push('certificate-auth');
+        logger.info('✅ Certificate authentication setup complete');
+        logger.info('');
+      }
+
+      if (config.banner) {
+        logger.info('🪧 Writing login banner...');
+        result.banner = await commonExecutor.installBanner(config, logger);
+        await record({ type: 'file', path: result.banner, backupPath: null });
+        result.steps.push('banner');
+        logger.info('✅ Login banner written');
+        logger.info('');
+      }
+
       logger.info('⚙️  Configuring SSH Server...');
-      await windowsExecutor.configureSSH(config, logger);
+      result.sshdConfig = await windowsExecutor.configureSSH(config, logger, manifest);
+      await recordSSHDConfig(result.sshdConfig, record);
+      if (result.sshdConfig.firewallRule) {
+        await record({ type: 'firewall-rule', name: result.sshdConfig.firewallRule });
+      }
       result.configured = true;
       result.steps.push('configured');
       logger.info('✅ Configuration complete');
       logger.info('');
 
+      if (config.envSnapshot) {
+        logger.warn('SSH_ENV_SNAPSHOT is not supported on Windows, skipped');
+      }
+
       logger.info('🔑 Setting up SSH keys...');
-      await commonExecutor.setupAuthorizedKeys(config, logger);
+      result.users = await setupUserKeys(plan, config, logger, manifest, record);
       result.keysSetup = true;
       result.steps.push('keys-setup');
       logger.info('✅ SSH keys setup complete');
       logger.info('');
 
       logger.info('🚀 Starting SSH service...');
-      await windowsExecutor.startSSH(config, logger);
+      const windowsService = await windowsExecutor.startSSH(config, logger);
+      await record({ type: 'service', ...windowsService });
+      result.service = windowsService;
       result.serviceStarted = true;
       result.steps.push('service-started');
       logger.info('✅ SSH service started');
       logger.info('');
     }
 
+    // Also stops the watchdog of a previous run that is no longer wanted
+    result.watchdog = await startWatchdog(config, logger);
+    if (result.watchdog) {
+      result.steps.push('watchdog-started');
+      logger.info(`🐕 Session watchdog started${result.watchdog.pid ? ` (pid ${result.watchdog.pid})` : ''}`);
+      logger.info('');
+    }
+
+    if (dryRun) {
+      result.dryRun = await summarizeDryRun(actions, logger);
+    }
+
     result.success = true;
     return result;
 
   } catch (error) {
     logger.error(`Execution failed: ${error.message}`);
     throw new ProcessError(`Execution failed: ${error.message}`);
+  } finally {
+    closeJournal();
+    if (!dryRun) {
+      await saveManifest(config.cwd, manifest);
+    }
+  }
+}
+
+/**
+ * Summarize the actions recorded during a dry run
+ * 
+ * @param {Array<Object>} actions - Dry-run journal actions
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} { commands, files } (files carry a unified diff for sshd_config)
+ */
+async function summarizeDryRun(actions, logger) {
+  const commands = actions
+    .filter(action => action.action === 'exec' || action.action === 'chmod')
+    .map(action => ({
+      command: action.command || `chmod ${action.mode} ${action.path}`,
+      sudo: Boolean(action.sudo)
+    }));
+
+  const paths = [];
+  actions
+    .filter(action => action.path && action.action !== 'chmod')
+    .forEach(action => {
+      if (!paths.includes(action.path)) {
+        paths.push(action.path);
+      }
+    });
+
+  const files = [];
+  for (const filePath of paths) {
+    const content = getStagedContent(filePath);
+    const isSSHDConfig = path.basename(filePath) === 'sshd_config' ||
+      path.basename(path.dirname(filePath)) === 'sshd_config.d';
+
+    let diff = null;
+    if (isSSHDConfig && content !== undefined) {
+      const current = await readFileSudo(filePath, logger) || '';
+      diff = createUnifiedDiff(current, content, { oldLabel: filePath, newLabel: `${filePath} (dry-run)` });
+    }
+
+    files.push({ path: filePath, diff });
+  }
+
+  return { commands, files };
+}
+
+/**
+ * Record the sshd_config files written by configureSSH
+ * 
+ * @param {Object} sshdConfig - configureSSH result
+ * @param {Function} record - Manifest recorder
+ */
+async function recordSSHDConfig(sshdConfig, record) {
+  if (sshdConfig.mode === 'drop-in') {
+    await record({ type: 'file', path: sshdConfig.path, backupPath: null });
   }
+  if (sshdConfig.mainChanged) {
+    await record({ type: 'file', path: sshdConfig.mainPath, backupPath: sshdConfig.backupPath });
+  }
+  if (sshdConfig.loginWrapper) {
+    await record({ type: 'directory', path: path.dirname(sshdConfig.loginWrapper) });
+  }
+}
+
+/**
+ * Install keys for the plan's users and work out who can log in
+ * 
+ * @param {Object} plan - Execution plan from plan()
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ * @param {Object} manifest - Manifest from previous runs
+ * @param {Function} record - Manifest recorder
+ * @returns {Promise<Array<Object>>} Users ({ user, keys, canLogin, reason })
+ */
+async function setupUserKeys(plan, config, logger, manifest, record) {
+  const targets = plan.users.filter(user => !user.skipReason);
+  const installed = await commonExecutor.setupAuthorizedKeys(config, logger, targets, manifest);
+
+  for (const entry of installed) {
+    await record({
+      type: 'managed-block',
+      path: entry.path,
+      user: entry.user,
+      backupPath: entry.backupPath,
+      created: entry.created
+    });
+  }
+  const hasCertificateAuth = config.trustedUserCAKeys.length > 0;
+
+  return plan.users.map(user => {
+    if (user.skipReason) {
+      return { user: user.name, keys: 0, canLogin: false, reason: user.skipReason };
+    }
+
+    const { keys } = installed.find(entry => entry.user === user.name);
+    if (/(nologin|\/false)$/.test(user.shell || '')) {
+      return { user: user.name, keys, canLogin: false, reason: `shell is ${user.shell}` };
+    }
+    if (keys === 0 && !hasCertificateAuth) {
+      return { user: user.name, keys, canLogin: false, reason: 'no keys mapped to this user' };
+    }
+
+    return { user: user.name, keys, canLogin: true, reason: null };
+  });
 }
 
 module.exports = execute;
@@ -6,158 +6,973 @@
 
 const path = require('path');
 const { spawnAsync, execSudo } = require('../../adapters/process');
-const { writeFile, ensureDir } = require('../../adapters/fs');
+const { writeFile, ensureDir, writeJson, deleteFile, readFileSudo, exists } = require('../../adapters/fs');
+const { getPidFilePath, getRunningPid, isProcessAlive } = require('../../adapters/daemon');
+const { probeListener } = require('../../adapters/ports');
+const { listUserGroups, lookupUser } = require('../../adapters/users');
+const { findChange } = require('../../adapters/manifest');
+const { isDryRun } = require('../../adapters/journal');
+const { splitManagedBlock, replaceManagedBlock, removeManagedBlock } = require('../../utils/managedBlock');
+const { parseDirectives, getKeywords, removeDirectives } = require('../../utils/sshdConfig');
+const { describeForwardingPolicy } = require('../../utils/forwardingPolicy');
+const { snapshotEnv, formatEnvFile } = require('../../utils/envSnapshot');
+const { shellQuote } = require('../../utils/shell');
+const { PACKAGE_MANAGERS, SFTP_SERVER_PATHS, resolveDistro } = require('../../utils/distros');
+const { INIT_SYSTEMS, SSHD_PATHS } = require('../../utils/initSystems');
 const { ProcessError } = require('../../utils/errors');
+const {
+  generateCertificateConfig,
+  generateListenConfig,
+  generateForwardingConfig,
+  generateBannerConfig,
+  generateMatchConfig,
+  renderSSHDConfig,
+  resolveCryptoProfile,
+  installRootFileLinux
+} = require('./common');
+
+const SSHD_CONFIG_PATH = '/etc/ssh/sshd_config';
+const SSHD_DROP_IN_DIR = '/etc/ssh/sshd_config.d';
+const SSHD_DROP_IN_PATH = `${SSHD_DROP_IN_DIR}/00-runner-add-ssh.conf`;
+
+
+// Login wrapper run as ForceCommand and the job environment snapshot (kept
+// apart from the CA directory, which the watchdog removes on revoke)
+const LIB_DIR = '/usr/local/lib/runner-add-ssh';
+const LOGIN_WRAPPER_PATH = `${LIB_DIR}/login-wrapper.sh`;
+const ENV_SNAPSHOT_DIR = `${LIB_DIR}/env.d`;
+const ENV_PROFILE_PATH = '/etc/profile.d/runner-add-ssh-env.sh';
+
+// How long a directly started sshd gets to come up or go away (20 x 500ms)
+const DAEMON_WAIT_ATTEMPTS = 20;
+const DAEMON_CHECK_INTERVAL_MS = 500;
+
+// Built-in sshd_config template (placeholders: see TEMPLATE_PLACEHOLDERS)
+const DEFAULT_SSHD_CONFIG_TEMPLATE = `# SSH Server Configuration - Generated by runner-add-ssh
+# Port
+{{listenConfig}}
+
+# Authentication
+PubkeyAuthentication yes
+PasswordAuthentication no
+ChallengeResponseAuthentication no
+UsePAM yes
+
+# Security
+PermitRootLogin {{permitRootLogin}}
+StrictModes yes
+MaxAuthTries 3
+MaxSessions 10
+
+# Allowed users
+AllowUsers {{allowUsers}}
+{{certificateConfig}}{{forwardingConfig}}{{bannerConfig}}
+# Subsystems
+Subsystem sftp {{subsystemPath}}
+
+# Logging
+SyslogFacility AUTH
+LogLevel INFO
+
+# Default working directory
+{{forceCommand}}
+
+# Performance
+UseDNS no
+{{matchConfig}}`;
+
+// Keywords where every occurrence counts instead of the first one
+const CUMULATIVE_KEYWORDS = ['port', 'listenaddress', 'allowusers', 'hostkey', 'acceptenv'];
 
 /**
  * Install OpenSSH Server on Linux
  * 
  * @param {Object} config - Configuration
  * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} Installed package ({ name, manager })
  */
 async function installSSH(config, logger) {
   try {
-    // Update package list
-    logger.debug('Updating package list...');
-    await execSudo(['apt-get', 'update', '-y'], logger);
+    const { manager, packageName } = getDistro(config);
 
-    // Install openssh-server
-    logger.debug('Installing openssh-server...');
-    await execSudo(['apt-get', 'install', '-y', 'openssh-server'], logger);
+    // Update package lists where needed, then install the package
+    logger.debug(`Installing ${packageName} with ${manager}...`);
+    for (const command of PACKAGE_MANAGERS[manager].install(packageName)) {
+      await execSudo(command, logger);
+    }
 
     logger.debug('OpenSSH Server installed successfully');
+
+    return { name: packageName, manager };
   } catch (error) {
     throw new ProcessError(`Failed to install OpenSSH Server: ${error.message}`);
   }
 }
 
 /**
- * Configure SSH Server on Linux
+ * Get the distribution detected by plan (Debian defaults without one)
+ * 
+ * @param {Object} config - Configuration (distro)
+ * @returns {Object} { id, name, version, family, manager, packageName, sftpServer, service }
+ */
+function getDistro(config) {
+  if (config.distro) {
+    return config.distro;
+  }
+
+  const { managers, ...distro } = resolveDistro({ ID: 'debian' });
+  return { ...distro, manager: managers[0] };
+}
+
+/**
+ * Uninstall OpenSSH Server on Linux
+ * 
+ * @param {Object} change - Manifest change ({ name, manager })
+ * @param {Logger} logger - Logger instance
+ */
+async function uninstallSSH(change, logger) {
+  try {
+    logger.debug(`Removing ${change.name}...`);
+    const manager = PACKAGE_MANAGERS[change.manager] || PACKAGE_MANAGERS['apt-get'];
+    await execSudo(manager.remove(change.name), logger);
+  } catch (error) {
+    throw new ProcessError(`Failed to uninstall OpenSSH Server: ${error.message}`);
+  }
+}
+
+/**
+ * Create the dedicated debug user on Linux
+ * 
+ * Creates the account (home, shell, groups), optionally adds a passwordless
+ * sudo drop-in, and records what was created in
+ * .runner-data/data-services/debug-user.json so it can be removed later.
  * 
  * @param {Object} config - Configuration
  * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} Resolved user ({ name, uid, gid, home, shell, record })
  */
-async function configureSSH(config, logger) {
-  const sshdConfigPath = '/etc/ssh/sshd_config';
+async function createDebugUser(config, logger) {
+  const username = config.debugUser;
+  const groups = config.debugUserGroups;
+  const record = {
+    user: username,
+    created: false,
+    home: null,
+    shell: config.debugUserShell,
+    groups,
+    addedGroups: [],
+    sudoersFile: null,
+    createdAt: new Date().toISOString()
+  };
 
   try {
-    // Generate sshd_config content
-    const sshdConfig = generateSSHDConfig(config);
+    let info = await lookupUser(username, logger);
+
+    if (info) {
+      logger.info(`   User ${username} already exists, reusing it`);
+      // Only groups added here are recorded, teardown leaves existing memberships alone
+      const currentGroups = groups.length > 0 ? await listUserGroups(username, logger) : [];
+      record.addedGroups = groups.filter(group => !currentGroups.includes(group));
+      if (record.addedGroups.length > 0) {
+        await execSudo(['usermod', '-a', '-G', record.addedGroups.join(','), username], logger);
+      }
+    } else {
+      logger.debug(`Creating user ${username}...`);
+      const args = ['useradd', '--create-home', '--shell', config.debugUserShell];
+      if (groups.length > 0) {
+        args.push('--groups', groups.join(','));
+      }
+      args.push(username);
+      await execSudo(args, logger);
+
+      // '*' means no usable password but not locked, so sshd still accepts keys
+      await execSudo(['usermod', '-p', '*', username], logger);
+
+      record.created = true;
+      info = await lookupUser(username, logger);
+      if (!info && isDryRun()) {
+        // useradd was only recorded, describe the account it would create
+        info = { name: username, uid: null, gid: null, home: `/home/${username}`, shell: config.debugUserShell };
+      }
+      if (!info) {
+        throw new Error(`user ${username} not found after useradd`);
+      }
+    }
+
+    record.home = info.home;
+
+    if (config.debugUserSudo) {
+      record.sudoersFile = await installSudoersDropIn(username, config, logger);
+    }
+
+    const recordPath = path.join(config.cwd, '.runner-data', 'data-services', 'debug-user.json');
+    await writeJson(recordPath, record);
+    logger.debug(`Recorded debug user in ${recordPath}`);
+
+    return { ...info, skipReason: null, record };
+  } catch (error) {
+    throw new ProcessError(`Failed to create debug user ${username}: ${error.message}`);
+  }
+}
+
+/**
+ * Install a passwordless sudo drop-in for a user (/etc/sudoers.d)
+ * 
+ * The file is checked with visudo before it is installed.
+ * 
+ * @param {string} username - Username
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<string>} Installed drop-in path
+ */
+async function installSudoersDropIn(username, config, logger) {
+  const sudoersPath = `/etc/sudoers.d/runner-add-ssh-${username}`;
+  const tempPath = path.join(config.cwd, '.runner-data', 'tmp', `sudoers-${username}`);
 
-    // Write config file (requires sudo)
-    logger.debug(`Writing sshd_config to ${sshdConfigPath}...`);
-    
-    // Write to temp file first
-    const tempConfigPath = path.join(config.cwd, '.runner-data', 'tmp', 'sshd_config');
-    await ensureDir(path.dirname(tempConfigPath));
-    await writeFile(tempConfigPath, sshdConfig);
+  logger.debug(`Installing sudoers drop-in ${sudoersPath}...`);
+  await writeFile(tempPath, `# Generated by runner-add-ssh\n${username} ALL=(ALL) NOPASSWD:ALL\n`);
 
-    // Copy to /etc/ssh/ with sudo
-    await execSudo(['cp', tempConfigPath, sshdConfigPath], logger);
+  try {
+    await execSudo(['visudo', '-c', '-f', tempPath], logger);
+    await execSudo(['cp', tempPath, sudoersPath], logger);
+    await execSudo(['chown', 'root:root', sudoersPath], logger);
+    await execSudo(['chmod', '440', sudoersPath], logger);
+  } finally {
+    await deleteFile(tempPath);
+  }
 
-    // Set proper permissions
-    await execSudo(['chmod', '644', sshdConfigPath], logger);
+  return sudoersPath;
+}
+
+/**
+ * Configure SSH Server on Linux
+ * 
+ * Writes an sshd_config.d drop-in when sshd supports Include, otherwise a
+ * marked block at the top of /etc/ssh/sshd_config. The main file is backed
+ * up and directives in it that would override ours are reported.
+ * 
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ * @param {Object} [manifest] - Manifest from previous runs
+ * @returns {Promise<Object>} { mode, path, mainPath, mainChanged, backupPath, loginWrapper, conflicts, crypto, forwarding }
+ */
+async function configureSSH(config, logger, manifest) {
+  try {
+    const mainConfig = await readFileSudo(SSHD_CONFIG_PATH, logger) || '';
+
+    // Settings in the main file outside our own block
+    const { before, after } = splitManagedBlock(mainConfig);
+    const userConfig = [...before, ...after].join('\n');
+    const userDirectives = parseDirectives(userConfig);
+    const includeDirective = userDirectives.find(
+      directive => directive.keyword === 'include' && includesDropIn(directive.args)
+    );
+
+    const supportsInclude = Boolean(includeDirective) || await detectIncludeSupport(logger);
+    const crypto = await resolveCryptoProfile(config, logger);
+    let sshdConfig = generateSSHDConfig(config, crypto);
+
+    // Subsystem may only be defined once, keep the distro's definition
+    const mainKeywords = getKeywords(userConfig);
+    if (mainKeywords.has('subsystem')) {
+      logger.debug('Main sshd_config already defines Subsystem, omitting ours');
+      sshdConfig = removeDirectives(sshdConfig, ['Subsystem']);
+    }
+
+    const conflicts = findConfigConflicts(
+      sshdConfig,
+      userDirectives,
+      supportsInclude && includeDirective ? includeDirective.lineNumber : 0
+    );
+    conflicts.forEach(conflict => {
+      logger.warn(`${SSHD_CONFIG_PATH}:${conflict.lineNumber} "${conflict.name} ${conflict.args}" ${conflict.effect} the generated setting`);
+    });
 
     // Ensure runtime directory exists for privilege separation
     logger.debug('Ensuring /run/sshd exists...');
     await execSudo(['mkdir', '-p', '/run/sshd'], logger);
     await execSudo(['chmod', '755', '/run/sshd'], logger);
 
-    // Ensure host keys exist
+    // Ensure host keys exist (sshd -t needs them)
     logger.debug('Ensuring SSH host keys exist...');
     await execSudo(['ssh-keygen', '-A'], logger);
 
-    // Test configuration
+    // Test the generated settings before anything is installed
+    await testConfigFile(sshdConfig, config, logger);
+
+    // ForceCommand (global or a workspace user) runs the login wrapper
+    const loginWrapper = sshdConfig.includes(LOGIN_WRAPPER_PATH) ? LOGIN_WRAPPER_PATH : null;
+    if (loginWrapper) {
+      await installLoginWrapper(config, logger);
+    }
+
+    let mainContent;
+    let mode;
+    let targetPath;
+
+    if (supportsInclude) {
+      mode = 'drop-in';
+      targetPath = SSHD_DROP_IN_PATH;
+      logger.debug(`Writing sshd_config drop-in to ${SSHD_DROP_IN_PATH}...`);
+
+      if (await readFileSudo(SSHD_DROP_IN_PATH, logger) === sshdConfig) {
+        logger.debug(`${SSHD_DROP_IN_PATH} is already up to date`);
+      } else {
+        await execSudo(['mkdir', '-p', SSHD_DROP_IN_DIR], logger);
+        await execSudo(['chmod', '755', SSHD_DROP_IN_DIR], logger);
+        await installConfigFile(SSHD_DROP_IN_PATH, sshdConfig, config, logger);
+      }
+
+      // Include our drop-in first when the main file does not already
+      mainContent = includeDirective
+        ? removeManagedBlock(mainConfig)
+        : replaceManagedBlock(mainConfig, [`Include ${SSHD_DROP_IN_DIR}/*.conf`], undefined, { prepend: true });
+    } else {
+      mode = 'managed-block';
+      targetPath = SSHD_CONFIG_PATH;
+      logger.debug(`sshd does not support Include, writing managed block to ${SSHD_CONFIG_PATH}...`);
+      mainContent = replaceManagedBlock(mainConfig, sshdConfig.trimEnd().split('\n'), undefined, { prepend: true });
+    }
+
+    // Back up the original main file once, later runs reuse that backup
+    const previous = findChange(manifest, 'file', SSHD_CONFIG_PATH);
+    let backupPath = previous ? previous.backupPath : null;
+    const mainChanged = mainContent !== mainConfig;
+    if (mainChanged) {
+      if (!previous && mainConfig) {
+        backupPath = path.join(config.cwd, '.runner-data', 'backups', `sshd_config.${Date.now()}.bak`);
+        logger.debug(`Backing up ${SSHD_CONFIG_PATH} to ${backupPath}`);
+        await writeFile(backupPath, mainConfig);
+      }
+      await installConfigFile(SSHD_CONFIG_PATH, mainContent, config, logger);
+    }
+
+    // Test the installed configuration as a whole
     logger.debug('Testing sshd configuration...');
     await execSudo(['sshd', '-t'], logger);
 
     logger.debug('SSH configuration applied successfully');
+
+    return {
+      mode,
+      path: targetPath,
+      mainPath: SSHD_CONFIG_PATH,
+      mainChanged,
+      backupPath,
+      loginWrapper,
+      conflicts,
+      crypto,
+      forwarding: describeForwardingPolicy(config, sshdConfig, {
+        existing: userDirectives,
+        conflicts,
+        platform: 'linux'
+      })
+    };
   } catch (error) {
     throw new ProcessError(`Failed to configure SSH: ${error.message}`);
   }
 }
 
+/**
+ * Copy config content into place with sudo (root-owned, 644)
+ * 
+ * @param {string} targetPath - Destination path
+ * @param {string} content - File content
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ */
+async function installConfigFile(targetPath, content, config, logger) {
+  // Write to temp file first
+  const tempConfigPath = path.join(config.cwd, '.runner-data', 'tmp', path.basename(targetPath));
+  await ensureDir(path.dirname(tempConfigPath));
+  await writeFile(tempConfigPath, content);
+
+  // Copy into place with sudo and set proper permissions
+  await execSudo(['cp', tempConfigPath, targetPath], logger);
+  await execSudo(['chmod', '644', targetPath], logger);
+}
+
+/**
+ * Install the login wrapper (root-owned, 755) unless it is up to date
+ * 
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ */
+async function installLoginWrapper(config, logger) {
+  const content = generateLoginWrapper(config);
+  if (await readFileSudo(LOGIN_WRAPPER_PATH, logger) === content) {
+    logger.debug(`${LOGIN_WRAPPER_PATH} is already up to date`);
+    return;
+  }
+
+  logger.debug(`Installing login wrapper to ${LOGIN_WRAPPER_PATH}...`);
+  await installRootFileLinux(LOGIN_WRAPPER_PATH, content, config, logger, '755');
+}
+
+/**
+ * Generate the login wrapper script
+ * 
+ * Starts the session in SSH_DEFAULT_CWD, then runs what the client asked
+ * for: the remote command (ssh host 'make test', scp, rsync, VS Code
+ * Remote), the sftp subsystem or a login shell. sshd hands subsystem
+ * requests to ForceCommand as well, and internal-sftp only exists inside
+ * sshd, so both internal-sftp and sftp-server requests run the sftp-server
+ * binary.
+ * 
+ * @param {Object} config - Configuration
+ * @returns {string} Script content
+ */
+function generateLoginWrapper(config) {
+  const cwd = shellQuote(config.defaultCwd);
+  const servers = [...new Set([getDistro(config).sftpServer, ...SFTP_SERVER_PATHS])].map(shellQuote).join(' ');
+
+  return `#!/bin/sh
+# Login wrapper - Generated by runner-add-ssh
+# Runs as ForceCommand: starts in the default working directory and keeps
+# remote commands, scp, rsync and sftp working.
+
+# CI job environment (SSH_ENV_SNAPSHOT), readable by its user only
+env_file=${shellQuote(ENV_SNAPSHOT_DIR)}/"$(id -un)"
+if [ -r "$env_file" ]; then
+  . "$env_file"
+fi
+
+# Messages go to stderr, stdout belongs to scp/rsync/sftp
+cd ${cwd} 2>/dev/null || echo "runner-add-ssh: cannot change to "${cwd}", staying in $PWD" >&2
+
+shell="\${SHELL:-/bin/sh}"
+
+case "$SSH_ORIGINAL_COMMAND" in
+  "")
+    exec "$shell" -l
+    ;;
+  internal-sftp|internal-sftp\\ *|*/sftp-server|*/sftp-server\\ *)
+    # Keep the options (-l, -f, -u, ...) of the Subsystem line
+    set -f
+    set -- $SSH_ORIGINAL_COMMAND
+    shift
+    for server in ${servers}; do
+      if [ -x "$server" ]; then
+        exec "$server" "$@"
+      fi
+    done
+    echo "runner-add-ssh: sftp-server not found" >&2
+    exit 1
+    ;;
+  *)
+    exec "$shell" -c "$SSH_ORIGINAL_COMMAND"
+    ;;
+esac
+`;
+}
+
+/**
+ * Prepare the SFTP chroot (SSH_SFTP_CHROOT) the way sshd demands
+ * 
+ * Missing directories are created root:root 755. Directories that already
+ * exist were checked by plan and are left untouched.
+ * 
+ * @param {Object} config - Configuration (sftpChroot)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} { path, created } (created: topmost directory created, or null)
+ */
+async function prepareChroot(config, logger) {
+  const chroot = path.posix.normalize(config.sftpChroot).replace(/\/+$/, '');
+  const parts = chroot.split('/').filter(Boolean);
+  let created = null;
+
+  try {
+    for (let index = 1; index <= parts.length; index++) {
+      const dir = `/${parts.slice(0, index).join('/')}`;
+      if (created === null && await exists(dir)) {
+        continue;
+      }
+
+      logger.debug(`Creating ${dir}...`);
+      await execSudo(['mkdir', dir], logger);
+      created = created || dir;
+      await execSudo(['chown', 'root:root', dir], logger);
+      await execSudo(['chmod', '755', dir], logger);
+    }
+
+    return { path: chroot, created };
+  } catch (error) {
+    throw new ProcessError(`Failed to prepare SFTP chroot ${chroot}: ${error.message}`);
+  }
+}
+
+/**
+ * Install the CI job environment snapshot for SSH sessions
+ * 
+ * Writes the filtered setup-time environment to one env file per SSH user
+ * (owned by that user, mode 600, since values can still be sensitive) that
+ * the login wrapper sources, plus an /etc/profile.d script so login shells
+ * without the wrapper (SSH_DISABLE_FORCE_CWD, ForceCommand none) get it as
+ * well.
+ * 
+ * @param {Object} config - Configuration (envAllow, envDeny)
+ * @param {Logger} logger - Logger instance
+ * @param {Array<Object>} users - Users that can log in ({ name })
+ * @param {Object} [env=process.env] - Environment to capture
+ * @returns {Promise<Object>} { path, profilePath, users, variables, dropped } (variable names only)
+ */
+async function installEnvSnapshot(config, logger, users, env = process.env) {
+  try {
+    const { variables, dropped } = snapshotEnv(env, { allow: config.envAllow, deny: config.envDeny });
+    logger.debug(`Capturing ${variables.length} environment variable(s) for ${users.length} user(s), dropping ${dropped.length}`);
+
+    const content = formatEnvFile(variables);
+    for (const user of users) {
+      await installRootFileLinux(`${ENV_SNAPSHOT_DIR}/${user.name}`, content, config, logger, '600', `${user.name}:0`);
+    }
+    await installRootFileLinux(ENV_PROFILE_PATH, generateEnvProfile(), config, logger);
+
+    return {
+      path: ENV_SNAPSHOT_DIR,
+      profilePath: ENV_PROFILE_PATH,
+      users: users.map(user => user.name),
+      variables: variables.map(variable => variable.name),
+      dropped
+    };
+  } catch (error) {
+    throw new ProcessError(`Failed to install environment snapshot: ${error.message}`);
+  }
+}
+
+/**
+ * Generate the /etc/profile.d script that sources the env snapshot
+ * 
+ * @returns {string} Script content
+ */
+function generateEnvProfile() {
+  return `# CI job environment - Generated by runner-add-ssh (SSH_ENV_SNAPSHOT)
+if [ -n "$SSH_CONNECTION" ]; then
+  runner_add_ssh_env=${shellQuote(ENV_SNAPSHOT_DIR)}/"$(id -un)"
+  if [ -r "$runner_add_ssh_env" ]; then
+    . "$runner_add_ssh_env"
+  fi
+  unset runner_add_ssh_env
+fi
+`;
+}
+
+/**
+ * Test config content with sshd -t before it is installed
+ * 
+ * @param {string} content - Config content
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ * @throws {Error} If sshd rejects the config
+ */
+async function testConfigFile(content, config, logger) {
+  const candidatePath = path.join(config.cwd, '.runner-data', 'tmp', 'sshd_config.candidate');
+  await ensureDir(path.dirname(candidatePath));
+  await writeFile(candidatePath, content);
+
+  logger.debug('Testing generated sshd configuration...');
+  try {
+    await execSudo(['sshd', '-t', '-f', candidatePath], logger);
+  } catch (error) {
+    throw new Error(`Generated sshd_config was rejected by sshd -t, nothing was installed: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether an Include argument list covers our drop-in file
+ * 
+ * @param {string} args - Include arguments (glob patterns)
+ * @returns {boolean} True if the drop-in would be included
+ */
+function includesDropIn(args) {
+  return args.split(/\s+/).some(pattern => {
+    const absolute = path.posix.resolve('/etc/ssh', pattern);
+    const regex = new RegExp('^' + absolute
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]') + '$');
+    return regex.test(SSHD_DROP_IN_PATH);
+  });
+}
+
+/**
+ * Detect whether the installed sshd supports Include (OpenSSH 8.2+)
+ * 
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<boolean>} True if Include is supported
+ */
+async function detectIncludeSupport(logger) {
+  try {
+    // ssh -V prints the version to stderr
+    const result = await spawnAsync('ssh', ['-V'], { logger, warnOnStderr: false });
+    const match = /OpenSSH_(\d+)\.(\d+)/.exec(result.stderr + result.stdout);
+    if (match) {
+      const [major, minor] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+      logger.debug(`Detected OpenSSH ${major}.${minor}`);
+      return major > 8 || (major === 8 && minor >= 2);
+    }
+  } catch (error) {
+    logger.debug(`Could not detect OpenSSH version: ${error.message}`);
+  }
+
+  return false;
+}
+
+/**
+ * Find directives in the main config that override or add to ours
+ * 
+ * sshd keeps the first value it reads, so directives before our Include
+ * override ours. Cumulative keywords (Port, AllowUsers, ...) add to ours
+ * wherever they appear.
+ * 
+ * @param {string} sshdConfig - Generated config
+ * @param {Array<Object>} userDirectives - Directives from the main file (outside our block)
+ * @param {number} includeLine - Line of the Include covering our drop-in (0 if none/prepended)
+ * @returns {Array<Object>} Conflicts ({ name, args, lineNumber, effect })
+ */
+function findConfigConflicts(sshdConfig, userDirectives, includeLine) {
+  const ours = getKeywords(sshdConfig);
+
+  return userDirectives
+    .filter(directive => !directive.inMatch && ours.has(directive.keyword))
+    .map(directive => {
+      if (CUMULATIVE_KEYWORDS.includes(directive.keyword)) {
+        return { ...directive, effect: 'adds to' };
+      }
+      if (includeLine && directive.lineNumber < includeLine) {
+        return { ...directive, effect: 'overrides' };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
 /**
  * Start SSH service on Linux
  * 
+ * Goes through the init system found by plan (systemd, OpenRC or SysV
+ * `service`). Without one, or when the init.d script is missing, sshd is
+ * started directly as a daemon (see startDaemon).
+ * 
  * @param {Object} config - Configuration
  * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} Service and its state before setup ({ name, initSystem, wasActive, wasEnabled, pidFile, pid })
  */
 async function startSSH(config, logger) {
   try {
+    const initSystem = config.initSystem || 'systemd';
+    if (initSystem === 'none') {
+      return await startDaemon(config, logger);
+    }
+
+    // ssh on Debian/Ubuntu, sshd elsewhere
+    let name = getDistro(config).service;
+    let other = name === 'ssh' ? 'sshd' : 'ssh';
+    const manager = INIT_SYSTEMS[initSystem];
+
+    if (initSystem === 'sysv' && !(await exists(`/etc/init.d/${name}`))) {
+      if (!(await exists(`/etc/init.d/${other}`))) {
+        logger.warn(`No init.d script for ${name}, starting sshd directly`);
+        return await startDaemon(config, logger);
+      }
+      [name, other] = [other, name];
+    }
+
+    const previous = await getServiceState(name, initSystem, logger);
+
     // Enable SSH service to start on boot
-    logger.debug('Enabling SSH service...');
-    await execSudo(['systemctl', 'enable', 'ssh'], logger);
+    if (manager.enable) {
+      logger.debug(`Enabling SSH service (${name}, ${initSystem})...`);
+      await execSudo(manager.enable(name), logger);
+    }
 
     // Restart SSH service
     logger.debug('Restarting SSH service...');
-    await execSudo(['systemctl', 'restart', 'ssh'], logger);
+    await execSudo(manager.restart(name), logger);
 
     // Check service status
     logger.debug('Checking SSH service status...');
     try {
-      await execSudo(['systemctl', 'is-active', 'ssh'], logger);
+      await execSudo(manager.status(name), logger);
       logger.debug('SSH service is active');
     } catch (err) {
-      // Try 'sshd' instead of 'ssh'
-      await execSudo(['systemctl', 'restart', 'sshd'], logger);
-      await execSudo(['systemctl', 'is-active', 'sshd'], logger);
-      logger.debug('SSH service (sshd) is active');
+      // Try the other service name
+      await execSudo(manager.restart(other), logger);
+      await execSudo(manager.status(other), logger);
+      name = other;
+      logger.debug(`SSH service (${other}) is active`);
     }
 
+    return { name, initSystem, wasActive: previous.active, wasEnabled: previous.enabled };
   } catch (error) {
     throw new ProcessError(`Failed to start SSH service: ${error.message}`);
   }
 }
 
 /**
- * Generate sshd_config content
+ * Start sshd as a daemon without an init system
+ * 
+ * sshd writes its pid to .runner-data/data-services/sshd.pid; a daemon
+ * from a previous run is stopped first. It counts as started once the pid
+ * runs and every port answers with an SSH banner.
  * 
  * @param {Object} config - Configuration
- * @returns {string} sshd_config content
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} Service ({ name, initSystem, wasActive, wasEnabled, pidFile, pid })
  */
-function generateSSHDConfig(config) {
-  const allowUsersArr = config.allowUsers.split(' ').filter(u => u.trim());
-  const forceCommandLine = !config.disableForceCwd 
-    ? `ForceCommand cd ${config.defaultCwd} && exec $SHELL -l`
-    : '';
+async function startDaemon(config, logger) {
+  const pidFile = getPidFilePath(config.cwd, 'sshd');
+  await stopDaemon(pidFile, logger);
 
-  return `# SSH Server Configuration - Generated by runner-add-ssh
-# Port
-Port ${config.port}
+  let sshdPath = SSHD_PATHS[0];
+  for (const candidate of SSHD_PATHS) {
+    if (await exists(candidate)) {
+      sshdPath = candidate;
+      break;
+    }
+  }
 
-# Authentication
-PubkeyAuthentication yes
-PasswordAuthentication no
-ChallengeResponseAuthentication no
-UsePAM yes
+  logger.debug(`Starting ${sshdPath} as a daemon (pidfile ${pidFile})...`);
+  await ensureDir(path.dirname(pidFile));
+  await execSudo([sshdPath, '-o', `PidFile=${pidFile}`], logger);
 
-# Security
-PermitRootLogin ${config.mode === 'root' ? 'prohibit-password' : 'no'}
-StrictModes yes
-MaxAuthTries 3
-MaxSessions 10
+  let pid = null;
+  if (!isDryRun()) {
+    try {
+      pid = await waitForDaemon(pidFile, config, logger);
+    } catch (error) {
+      // Not recorded, so nothing else would stop it
+      await stopDaemon(pidFile, logger);
+      throw error;
+    }
+    logger.debug(`sshd is running (pid ${pid})`);
+  }
 
-# Allowed users
-AllowUsers ${allowUsersArr.join(' ')}
+  return { name: 'sshd', initSystem: 'none', wasActive: false, wasEnabled: true, pidFile, pid };
+}
 
-# Subsystems
-Subsystem sftp /usr/lib/openssh/sftp-server
+/**
+ * Wait until the sshd daemon runs and serves every port
+ * 
+ * @param {string} pidFile - Pidfile written by sshd
+ * @param {Object} config - Configuration (ports, listenAddresses)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<number>} sshd pid
+ */
+async function waitForDaemon(pidFile, config, logger) {
+  const addresses = config.listenAddresses.length > 0 ? config.listenAddresses : ['0.0.0.0', '::'];
+  let reason = 'no pid in the pidfile';
 
-# Logging
-SyslogFacility AUTH
-LogLevel INFO
+  for (let attempt = 0; attempt < DAEMON_WAIT_ATTEMPTS; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, DAEMON_CHECK_INTERVAL_MS));
 
-# Default working directory
-${forceCommandLine}
+    const pid = await getRunningPid(pidFile);
+    if (!pid) {
+      continue;
+    }
 
-# Performance
-UseDNS no
-`;
+    reason = null;
+    for (const port of config.ports) {
+      const listeners = [];
+      for (const address of addresses) {
+        listeners.push(await probeListener(port, address, logger));
+      }
+      if (!listeners.some(listener => listener.status === 'ssh')) {
+        reason = `no SSH server answers on port ${port}`;
+        break;
+      }
+    }
+
+    if (!reason) {
+      return pid;
+    }
+  }
+
+  throw new Error(`sshd did not come up (${reason}), see the auth log or run sshd -d`);
+}
+
+/**
+ * Stop the sshd daemon of a pidfile, if it runs
+ * 
+ * @param {string} pidFile - Pidfile path
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<boolean>} True if a running daemon was stopped
+ */
+async function stopDaemon(pidFile, logger) {
+  const pid = await getRunningPid(pidFile);
+  if (!pid) {
+    return false;
+  }
+
+  logger.debug(`Stopping sshd daemon (pid ${pid})...`);
+  await execSudo(['kill', String(pid)], logger);
+  for (let attempt = 0; attempt < DAEMON_WAIT_ATTEMPTS && !isDryRun() && isProcessAlive(pid); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, DAEMON_CHECK_INTERVAL_MS));
+  }
+
+  // sshd removes its pidfile on exit, unless it was killed harder
+  await deleteFile(pidFile).catch(() => {});
+  return true;
+}
+
+/**
+ * Put the SSH service back into its state before setup
+ * 
+ * A service that was running is restarted so it picks up the restored
+ * config, otherwise it is stopped. Enablement is reverted the same way.
+ * A daemon started without an init system is stopped.
+ * 
+ * @param {Object} change - Manifest change ({ name, initSystem, wasActive, wasEnabled, pidFile })
+ * @param {Logger} logger - Logger instance
+ */
+async function restoreService(change, logger) {
+  try {
+    const initSystem = change.initSystem || 'systemd';
+    if (initSystem === 'none') {
+      await stopDaemon(change.pidFile, logger);
+      return;
+    }
+
+    const manager = INIT_SYSTEMS[initSystem];
+    if (!change.wasEnabled && manager.disable) {
+      logger.debug(`Disabling ${change.name} service...`);
+      await execSudo(manager.disable(change.name), logger);
+    }
+
+    if (change.wasActive) {
+      logger.debug(`Restarting ${change.name} service with the restored config...`);
+      await execSudo(manager.restart(change.name), logger);
+    } else {
+      logger.debug(`Stopping ${change.name} service...`);
+      await execSudo(manager.stop(change.name), logger);
+    }
+  } catch (error) {
+    throw new ProcessError(`Failed to restore SSH service: ${error.message}`);
+  }
+}
+
+/**
+ * Stop the SSH service (watchdog expiry)
+ * 
+ * @param {Object} service - Recorded service ({ name, initSystem, pidFile })
+ * @param {Logger} logger - Logger instance
+ */
+async function stopService(service, logger) {
+  try {
+    const initSystem = service.initSystem || 'systemd';
+    logger.debug(`Stopping ${service.name} service (${initSystem})...`);
+    if (initSystem === 'none') {
+      await stopDaemon(service.pidFile, logger);
+    } else {
+      await execSudo(INIT_SYSTEMS[initSystem].stop(service.name), logger);
+    }
+  } catch (error) {
+    throw new ProcessError(`Failed to stop SSH service: ${error.message}`);
+  }
+}
+
+/**
+ * Get whether a service is active and enabled
+ * 
+ * Init systems without boot enablement (SysV) report it as enabled, so
+ * teardown never disables it.
+ * 
+ * @param {string} name - Service name
+ * @param {string} initSystem - Init system ('systemd', 'openrc', 'sysv')
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} { active, enabled }
+ */
+async function getServiceState(name, initSystem, logger) {
+  const manager = INIT_SYSTEMS[initSystem];
+
+  // Status queries exit non-zero for stopped/disabled services
+  const query = async (args) => {
+    try {
+      const [command, ...commandArgs] = args;
+      const result = await spawnAsync(command, commandArgs, { logger, warnOnStderr: false });
+      return result.stdout;
+    } catch {
+      return null;
+    }
+  };
+
+  const enabledOutput = manager.enabled ? await query(manager.enabled(name)) : null;
+  return {
+    active: (await query(manager.status(name))) !== null,
+    enabled: manager.enabled ? enabledOutput !== null && manager.isEnabled(enabledOutput, name) : true
+  };
+}
+
+/**
+ * Remove the debug user created by setup (home directory included)
+ * 
+ * @param {Object} change - Manifest change ({ name })
+ * @param {Logger} logger - Logger instance
+ */
+async function removeDebugUser(change, logger) {
+  try {
+    logger.debug(`Deleting user ${change.name}...`);
+    await execSudo(['userdel', '--remove', change.name], logger);
+  } catch (error) {
+    throw new ProcessError(`Failed to remove debug user ${change.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Remove an existing user from the groups setup added it to
+ * 
+ * @param {Object} change - Manifest change ({ name, groups })
+ * @param {Logger} logger - Logger instance
+ */
+async function removeGroupMembership(change, logger) {
+  try {
+    for (const group of change.groups) {
+      logger.debug(`Removing ${change.name} from group ${group}...`);
+      await execSudo(['gpasswd', '-d', change.name, group], logger);
+    }
+  } catch (error) {
+    throw new ProcessError(`Failed to remove ${change.name} from groups: ${error.message}`);
+  }
+}
+
+/**
+ * Generate sshd_config content
+ * 
+ * Renders SSH_CONFIG_TEMPLATE (or the built-in template) with the per-user
+ * Match blocks and applies SSH_EXTRA_CONFIG.
+ * 
+ * @param {Object} config - Configuration
+ * @param {Object|null} [crypto] - Resolved crypto profile
+ * @returns {string} sshd_config content
+ */
+function generateSSHDConfig(config, crypto) {
+  const allowUsersArr = config.allowUsers.split(' ').filter(u => u.trim());
+  const workspaceCommand = LOGIN_WRAPPER_PATH;
+
+  return renderSSHDConfig(DEFAULT_SSHD_CONFIG_TEMPLATE, {
+    port: config.port,
+    listenConfig: generateListenConfig(config),
+    allowUsers: allowUsersArr.join(' '),
+    defaultCwd: config.defaultCwd,
+    subsystemPath: getDistro(config).sftpServer,
+    permitRootLogin: config.mode === 'root' ? 'prohibit-password' : 'no',
+    forceCommand: !config.disableForceCwd ? `ForceCommand ${workspaceCommand}` : '',
+    certificateConfig: generateCertificateConfig(config, 'linux'),
+    forwardingConfig: generateForwardingConfig(config, 'linux'),
+    bannerConfig: generateBannerConfig(config, 'linux'),
+    matchConfig: generateMatchConfig(config, workspaceCommand)
+  }, config, crypto);
 }
 
 module.exports = {
   installSSH,
+  uninstallSSH,
+  createDebugUser,
+  removeDebugUser,
+  removeGroupMembership,
   configureSSH,
-  startSSH
+  prepareChroot,
+  installEnvSnapshot,
+  startSSH,
+  restoreService,
+  stopService
 };
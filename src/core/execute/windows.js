@@ -6,14 +6,68 @@
 
 const path = require('path');
 const { spawnAsync } = require('../../adapters/process');
-const { writeFile, ensureDir } = require('../../adapters/fs');
+const { writeFile, ensureDir, readFileSudo, exists } = require('../../adapters/fs');
 const { ProcessError } = require('../../utils/errors');
+const { describeForwardingPolicy } = require('../../utils/forwardingPolicy');
+const { findChange } = require('../../adapters/manifest');
+const { isDryRun } = require('../../adapters/journal');
+const {
+  generateCertificateConfig,
+  generateListenConfig,
+  generateForwardingConfig,
+  generateBannerConfig,
+  generateMatchConfig,
+  renderSSHDConfig,
+  resolveCryptoProfile
+} = require('./common');
+
+const SSHD_CONFIG_PATH = 'C:\\ProgramData\\ssh\\sshd_config';
+const CAPABILITY_NAME = 'OpenSSH.Server~~~~0.0.1.0';
+const FIREWALL_RULE_NAME = 'runner-add-ssh-In-TCP';
+// StartType values of Get-Service that Set-Service -StartupType accepts back
+const SERVICE_STARTUP_TYPES = ['Automatic', 'Manual', 'Disabled'];
+const SFTP_SERVER_PATH = 'sftp-server.exe';
+const HOST_KEY_PATH = 'C:\\ProgramData\\ssh\\ssh_host_ed25519_key';
+
+// Built-in sshd_config template (placeholders: see TEMPLATE_PLACEHOLDERS)
+const DEFAULT_SSHD_CONFIG_TEMPLATE = `# SSH Server Configuration - Generated by runner-add-ssh
+# Port
+{{listenConfig}}
+
+# Authentication
+PubkeyAuthentication yes
+PasswordAuthentication no
+ChallengeResponseAuthentication no
+
+# Security
+PermitRootLogin {{permitRootLogin}}
+StrictModes yes
+MaxAuthTries 3
+MaxSessions 10
+
+# Allowed users
+AllowUsers {{allowUsers}}
+{{certificateConfig}}{{forwardingConfig}}{{bannerConfig}}
+# Windows-specific
+Subsystem sftp {{subsystemPath}}
+
+# Logging
+SyslogFacility AUTH
+LogLevel INFO
+
+# Default working directory
+{{forceCommand}}
+
+# Performance
+UseDNS no
+{{matchConfig}}`;
 
 /**
  * Install OpenSSH Server on Windows
  * 
  * @param {Object} config - Configuration
  * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object|null>} Installed package ({ name, manager }) or null if already installed
  */
 async function installSSH(config, logger) {
   try {
@@ -31,12 +85,12 @@ async function installSSH(config, logger) {
     const checkOutput = [checkResult.stdout, checkResult.stderr].join('\n');
     if (checkOutput.includes('State        : Installed')) {
       logger.debug('OpenSSH Server already installed');
-      return;
+      return null;
     }
 
     // Install OpenSSH Server
     logger.debug('Installing OpenSSH Server...');
-    const installCmd = `Add-WindowsCapability -Online -Name OpenSSH.Server~~~~0.0.1.0`;
+    const installCmd = `Add-WindowsCapability -Online -Name ${CAPABILITY_NAME}`;
     
     await spawnAsync('powershell', [
       '-NoProfile',
@@ -46,19 +100,43 @@ async function installSSH(config, logger) {
     ], { logger });
 
     logger.debug('OpenSSH Server installed successfully');
+
+    return { name: CAPABILITY_NAME, manager: 'windows-capability' };
   } catch (error) {
     throw new ProcessError(`Failed to install OpenSSH Server: ${error.message}`);
   }
 }
 
+/**
+ * Uninstall OpenSSH Server on Windows
+ * 
+ * @param {Object} change - Manifest change ({ name })
+ * @param {Logger} logger - Logger instance
+ */
+async function uninstallSSH(change, logger) {
+  try {
+    logger.debug(`Removing ${change.name}...`);
+    await spawnAsync('powershell', [
+      '-NoProfile',
+      '-NonInteractive',
+      '-Command',
+      `Remove-WindowsCapability -Online -Name ${change.name}`
+    ], { logger });
+  } catch (error) {
+    throw new ProcessError(`Failed to uninstall OpenSSH Server: ${error.message}`);
+  }
+}
+
 /**
  * Configure SSH Server on Windows
  * 
  * @param {Object} config - Configuration
  * @param {Logger} logger - Logger instance
+ * @param {Object} [manifest] - Manifest from previous runs
+ * @returns {Promise<Object>} { mode, path, mainPath, mainChanged, backupPath, conflicts, crypto, forwarding, firewallRule }
  */
-async function configureSSH(config, logger) {
-  const sshdConfigPath = 'C:\\ProgramData\\ssh\\sshd_config';
+async function configureSSH(config, logger, manifest) {
+  const sshdConfigPath = SSHD_CONFIG_PATH;
 
   try {
     // Ensure ProgramData/ssh directory exists
@@ -69,14 +147,28 @@ async function configureSSH(config, logger) {
       `New-Item -ItemType Directory -Force -Path "C:\\ProgramData\\ssh"`
     ], { logger });
 
+    // Back up the original config once, later runs reuse that backup
+    const previous = findChange(manifest, 'file', sshdConfigPath);
+    const currentConfig = previous ? null : await readFileSudo(sshdConfigPath, logger);
+    let backupPath = previous ? previous.backupPath : null;
+    if (currentConfig) {
+      backupPath = path.join(config.cwd, '.runner-data', 'backups', `sshd_config.${Date.now()}.bak`);
+      logger.debug(`Backing up ${sshdConfigPath} to ${backupPath}`);
+      await writeFile(backupPath, currentConfig);
+    }
+
     // Generate sshd_config content
-    const sshdConfig = generateSSHDConfig(config);
+    const crypto = await resolveCryptoProfile(config, logger);
+    const sshdConfig = generateSSHDConfig(config, crypto);
 
     // Write config to temp file
     const tempConfigPath = path.join(config.cwd, '.runner-data', 'tmp', 'sshd_config_win');
     await ensureDir(path.dirname(tempConfigPath));
     await writeFile(tempConfigPath, sshdConfig);
 
+    // Test the config before it replaces the current one
+    await testConfigFile(tempConfigPath, logger);
+
     // Copy to ProgramData with PowerShell
     logger.debug(`Writing sshd_config to ${sshdConfigPath}...`);
     const copyCmd = `Copy-Item -Path "${tempConfigPath.replace(/\//g, '\\')}" -Destination "${sshdConfigPath}" -Force`;
@@ -88,9 +180,21 @@ async function configureSSH(config, logger) {
       copyCmd
     ], { logger });
 
-    // Configure firewall rule
-    logger.debug(`Configuring firewall for port ${config.port}...`);
-    const firewallCmd = `New-NetFirewallRule -Name "OpenSSH-Server-In-TCP" -DisplayName "OpenSSH Server (sshd)" -Enabled True -Direction Inbound -Protocol TCP -Action Allow -LocalPort ${config.port} -ErrorAction SilentlyContinue`;
+    // Configure our own firewall rule (the stock OpenSSH-Server-In-TCP rule
+    // only opens port 22 and is left alone); a rule from a previous run gets
+    // the current ports
+    const ruleResult = await spawnAsync('powershell', [
+      '-NoProfile',
+      '-NonInteractive',
+      '-Command',
+      `Get-NetFirewallRule -Name "${FIREWALL_RULE_NAME}" -ErrorAction SilentlyContinue | Select-Object -ExpandProperty Name`
+    ], { logger });
+    const ruleExists = ruleResult.stdout.includes(FIREWALL_RULE_NAME);
+
+    logger.debug(`Configuring firewall for port(s) ${config.ports.join(', ')}...`);
+    const firewallCmd = ruleExists
+      ? `Set-NetFirewallRule -Name "${FIREWALL_RULE_NAME}" -Enabled True -Direction Inbound -Protocol TCP -Action Allow -LocalPort ${config.ports.join(',')}`
+      : `New-NetFirewallRule -Name "${FIREWALL_RULE_NAME}" -DisplayName "OpenSSH Server (runner-add-ssh)" -Enabled True -Direction Inbound -Protocol TCP -Action Allow -LocalPort ${config.ports.join(',')}`;
     
     await spawnAsync('powershell', [
       '-NoProfile',
@@ -100,6 +204,18 @@ async function configureSSH(config, logger) {
     ], { logger });
 
     logger.debug('SSH configuration applied successfully');
+
+    return {
+      mode: 'replaced',
+      path: sshdConfigPath,
+      mainPath: sshdConfigPath,
+      mainChanged: true,
+      backupPath,
+      conflicts: [],
+      crypto,
+      forwarding: describeForwardingPolicy(config, sshdConfig, { platform: 'win32' }),
+      firewallRule: FIREWALL_RULE_NAME
+    };
   } catch (error) {
     throw new ProcessError(`Failed to configure SSH: ${error.message}`);
   }
@@ -110,9 +226,12 @@ async function configureSSH(config, logger) {
  * 
  * @param {Object} config - Configuration
  * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} Service and its state before setup ({ name, wasActive, wasEnabled, startupType })
  */
 async function startSSH(config, logger) {
   try {
+    const previous = await getServiceState('sshd', logger);
+
     // Set service to automatic start
     logger.debug('Setting SSH service to automatic start...');
     await spawnAsync('powershell', [
@@ -141,63 +260,179 @@ async function startSSH(config, logger) {
     ], { logger });
 
     const statusOutput = [statusResult.stdout, statusResult.stderr].join('\n');
-    if (!statusOutput.includes('Running')) {
+    // A dry run never started the service
+    if (!statusOutput.includes('Running') && !isDryRun()) {
       throw new Error('SSH service failed to start');
     }
 
     logger.debug('SSH service is running');
+
+    return { name: 'sshd', wasActive: previous.active, wasEnabled: previous.enabled, startupType: previous.startupType };
   } catch (error) {
     throw new ProcessError(`Failed to start SSH service: ${error.message}`);
   }
 }
 
 /**
- * Generate sshd_config content for Windows
+ * Put the SSH service back into its state before setup
  * 
- * @param {Object} config - Configuration
- * @returns {string} sshd_config content
+ * The startup type is written back exactly as recorded (Disabled stays
+ * Disabled). Manifests without one, or a service that did not exist before
+ * setup, fall back to Manual, the default of a fresh OpenSSH install.
+ * 
+ * @param {Object} change - Manifest change ({ name, wasActive, wasEnabled, startupType })
+ * @param {Logger} logger - Logger instance
  */
-function generateSSHDConfig(config) {
-  const allowUsersArr = config.allowUsers.split(' ').filter(u => u.trim());
-  const forceCommandLine = !config.disableForceCwd 
-    ? `ForceCommand cmd /c "cd /d ${config.defaultCwd.replace(/\//g, '\\\\')} && cmd"`
-    : '';
+async function restoreService(change, logger) {
+  const commands = [change.wasActive ? `Restart-Service ${change.name}` : `Stop-Service ${change.name}`];
+  // Set last, a Disabled service could not be restarted anymore
+  const startupType = change.startupType || (change.wasEnabled ? null : 'Manual');
+  if (startupType && startupType !== 'Automatic') {
+    commands.push(`Set-Service -Name ${change.name} -StartupType ${startupType}`);
+  }
 
-  return `# SSH Server Configuration - Generated by runner-add-ssh
-# Port
-Port ${config.port}
+  try {
+    for (const command of commands) {
+      logger.debug(`Running: ${command}`);
+      await spawnAsync('powershell', [
+        '-NoProfile',
+        '-NonInteractive',
+        '-Command',
+        command
+      ], { logger });
+    }
+  } catch (error) {
+    throw new ProcessError(`Failed to restore SSH service: ${error.message}`);
+  }
+}
 
-# Authentication
-PubkeyAuthentication yes
-PasswordAuthentication no
-ChallengeResponseAuthentication no
+/**
+ * Stop the SSH service (watchdog expiry)
+ * 
+ * @param {Object} service - Recorded service ({ name })
+ * @param {Logger} logger - Logger instance
+ */
+async function stopService(service, logger) {
+  try {
+    const { name } = service;
+    logger.debug(`Stopping ${name} service...`);
+    await spawnAsync('powershell', [
+      '-NoProfile',
+      '-NonInteractive',
+      '-Command',
+      `Stop-Service ${name}`
+    ], { logger });
+  } catch (error) {
+    throw new ProcessError(`Failed to stop SSH service: ${error.message}`);
+  }
+}
 
-# Security
-PermitRootLogin no
-StrictModes yes
-MaxAuthTries 3
-MaxSessions 10
+/**
+ * Get whether a Windows service is running and how it starts
+ * 
+ * @param {string} name - Service name
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} { active, enabled, startupType } (startupType is null if the service does not exist)
+ */
+async function getServiceState(name, logger) {
+  try {
+    const result = await spawnAsync('powershell', [
+      '-NoProfile',
+      '-NonInteractive',
+      '-Command',
+      `Get-Service ${name} -ErrorAction SilentlyContinue | ForEach-Object { "$($_.Status) $($_.StartType)" }`
+    ], { logger });
 
-# Allowed users
-AllowUsers ${allowUsersArr.join(' ')}
+    const [status, startupType] = result.stdout.trim().split(/\s+/);
+    return {
+      active: status === 'Running',
+      enabled: startupType === 'Automatic',
+      startupType: SERVICE_STARTUP_TYPES.includes(startupType) ? startupType : null
+    };
+  } catch {
+    return { active: false, enabled: false, startupType: null };
+  }
+}
 
-# Windows-specific
-Subsystem sftp sftp-server.exe
+/**
+ * Delete a firewall rule created by setup
+ * 
+ * @param {Object} change - Manifest change ({ name })
+ * @param {Logger} logger - Logger instance
+ */
+async function removeFirewallRule(change, logger) {
+  try {
+    logger.debug(`Removing firewall rule ${change.name}...`);
+    await spawnAsync('powershell', [
+      '-NoProfile',
+      '-NonInteractive',
+      '-Command',
+      `Remove-NetFirewallRule -Name "${change.name}" -ErrorAction SilentlyContinue`
+    ], { logger });
+  } catch (error) {
+    throw new ProcessError(`Failed to remove firewall rule ${change.name}: ${error.message}`);
+  }
+}
 
-# Logging
-SyslogFacility AUTH
-LogLevel INFO
+/**
+ * Test a config file with sshd -t
+ * 
+ * Host keys are generated on the first service start, before that sshd -t
+ * cannot run and the test is skipped.
+ * 
+ * @param {string} configPath - Config file to test
+ * @param {Logger} logger - Logger instance
+ * @throws {Error} If sshd rejects the config
+ */
+async function testConfigFile(configPath, logger) {
+  if (!(await exists(HOST_KEY_PATH))) {
+    logger.debug('No host keys yet, skipping sshd -t');
+    return;
+  }
 
-# Default working directory
-${forceCommandLine}
+  logger.debug('Testing generated sshd configuration...');
+  try {
+    await spawnAsync('sshd', ['-t', '-f', configPath], { logger });
+  } catch (error) {
+    throw new Error(`Generated sshd_config was rejected by sshd -t, nothing was installed: ${error.message}`);
+  }
+}
 
-# Performance
-UseDNS no
-`;
+/**
+ * Generate sshd_config content for Windows
+ * 
+ * Renders SSH_CONFIG_TEMPLATE (or the built-in template) with the per-user
+ * Match blocks and applies SSH_EXTRA_CONFIG.
+ * 
+ * @param {Object} config - Configuration
+ * @param {Object|null} [crypto] - Resolved crypto profile
+ * @returns {string} sshd_config content
+ */
+function generateSSHDConfig(config, crypto) {
+  const allowUsersArr = config.allowUsers.split(' ').filter(u => u.trim());
+  const workspaceCommand = `cmd /c "cd /d ${config.defaultCwd.replace(/\//g, '\\\\')} && cmd"`;
+
+  return renderSSHDConfig(DEFAULT_SSHD_CONFIG_TEMPLATE, {
+    port: config.port,
+    listenConfig: generateListenConfig(config),
+    allowUsers: allowUsersArr.join(' '),
+    defaultCwd: config.defaultCwd,
+    subsystemPath: SFTP_SERVER_PATH,
+    permitRootLogin: 'no',
+    forceCommand: !config.disableForceCwd ? `ForceCommand ${workspaceCommand}` : '',
+    certificateConfig: generateCertificateConfig(config, 'win32'),
+    forwardingConfig: generateForwardingConfig(config, 'win32'),
+    bannerConfig: generateBannerConfig(config, 'win32'),
+    matchConfig: generateMatchConfig(config, workspaceCommand)
+  }, config, crypto);
 }
 
 module.exports = {
   installSSH,
+  uninstallSSH,
   configureSSH,
-  startSSH
+  startSSH,
+  restoreService,
+  stopService,
+  removeFirewallRule
 };
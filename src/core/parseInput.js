@@ -6,6 +6,11 @@
  */
 
 const os = require('os');
+const { splitKeyLines, parseKeyEntry, SUPPORTED_KEY_TYPES } = require('../utils/sshKeys');
+const { parseDuration } = require('../utils/duration');
+
+// Range searched for a free port with SSH_PORT=auto
+const AUTO_PORT_RANGE = '2222-2299';
 
 /**
  * Parse input configuration
@@ -19,19 +24,62 @@ function parseInput(options = {}) {
   const env = process.env;
   const currentUser = env.USER || env.USERNAME || 'runner';
   const homeDir = os.homedir();
+  const optionGithubUsers = parseList([].concat(options.githubUser || [], options.githubUsers || []));
+  const allowedKeyTypes = parseList(options.allowedKeyTypes || env.SSH_ALLOWED_KEY_TYPES);
+  const debugUser = options.debugUser || env.SSH_DEBUG_USER || '';
 
   const config = {
-    // SSH Public Key (required)
-    publicKey: options.publicKey || env.SSH_RUNNER_PUBLIC_KEY || '',
+    // SSH Public Keys (at least one required, newline-separated in ENV)
+    publicKeys: parsePublicKeys(options.publicKey, env.SSH_RUNNER_PUBLIC_KEY),
+
+    // File or directory of *.pub files with extra public keys
+    publicKeyFile: options.publicKeyFile || env.SSH_RUNNER_PUBLIC_KEY_FILE || '',
+
+    // GitHub usernames whose public keys should be installed
+    githubUsers: optionGithubUsers.length > 0 ? optionGithubUsers : parseList(env.SSH_GITHUB_USERS),
+
+    // Base URL for <user>.keys lookups (override for a local stand-in server)
+    githubKeysUrl: options.githubKeysUrl || env.SSH_GITHUB_KEYS_URL || '',
+
+    // Custom key fetcher ({ fetchKeys(username) }), library only
+    keyFetcher: options.keyFetcher || null,
+
+    // Default authorized_keys options for keys without their own
+    // (e.g. 'restrict,from="10.0.0.1",expiry-time="20261231"')
+    keyOptions: options.keyOptions || env.SSH_KEY_OPTIONS || '',
 
-    // SSH Port
-    port: options.port || parseInt(env.SSH_PORT || '2222', 10),
+    // Keys per user ("root:SHA256:...;runner:*"), users not listed get every key
+    userKeys: parseUserKeys(options.userKeys || env.SSH_USER_KEYS),
+
+    // Key policy: allowed algorithms and minimum RSA modulus size
+    allowedKeyTypes: allowedKeyTypes.length > 0 ? allowedKeyTypes : [...SUPPORTED_KEY_TYPES],
+    minRsaBits: options.minRsaBits || parseInt(env.SSH_MIN_RSA_BITS || '2048', 10),
+
+    // Trusted user CA public keys for certificate login (newline-separated in ENV)
+    trustedUserCAKeys: pickKeyLines(options.trustedUserCAKeys, env.SSH_TRUSTED_USER_CA_KEYS),
+
+    // Raw principals spec, resolved below once allowUsers is known
+    authorizedPrincipals: options.authorizedPrincipals || env.SSH_AUTHORIZED_PRINCIPALS || '',
+
+    // SSH Ports ("2222,2223", "auto" or "2222-2299" in ENV), port is the first one
+    ports: parsePorts(options.port || env.SSH_PORT || '2222'),
+
+    // Addresses sshd listens on (IPv4/IPv6), empty = every interface
+    listenAddresses: parseList(options.listenAddresses || env.SSH_LISTEN_ADDRESSES),
 
     // SSH Mode: 'root', 'user', 'auto'
     mode: options.mode || env.SSH_MODE || 'auto',
 
-    // Allowed users (space-separated)
-    allowUsers: options.allowUsers || env.SSH_ALLOW_USERS || `${currentUser} root`,
+    // Allowed users (space-separated), only the debug user when one is created
+    allowUsers: options.allowUsers || env.SSH_ALLOW_USERS || (debugUser || `${currentUser} root`),
+
+    // Dedicated throwaway account (e.g. 'ci-debug'), created by the create-user step
+    debugUser,
+    debugUserShell: options.debugUserShell || env.SSH_DEBUG_USER_SHELL || '/bin/bash',
+    debugUserGroups: parseList(options.debugUserGroups || env.SSH_DEBUG_USER_GROUPS),
+    debugUserSudo: options.debugUserSudo !== undefined
+      ? options.debugUserSudo
+      : parseInt(env.SSH_DEBUG_USER_SUDO || '0', 10) === 1,
 
     // Default working directory for SSH login
     defaultCwd: options.defaultCwd || env.SSH_DEFAULT_CWD || `${homeDir}`,
@@ -41,11 +89,68 @@ function parseInput(options = {}) {
       ? options.disableForceCwd 
       : parseInt(env.SSH_DISABLE_FORCE_CWD || '0', 10) === 1,
 
+    // Carry the job's environment (filtered) into SSH sessions, Linux only
+    envSnapshot: options.envSnapshot !== undefined
+      ? options.envSnapshot
+      : parseInt(env.SSH_ENV_SNAPSHOT || '0', 10) === 1,
+
+    // Variable name patterns ('GITHUB_*') to keep / drop in the snapshot
+    envAllow: parseList(options.envAllow || env.SSH_ENV_ALLOW),
+    envDeny: parseList(options.envDeny || env.SSH_ENV_DENY),
+
+    // sshd_config template with {{placeholders}} replacing the built-in one
+    configTemplate: options.configTemplate || env.SSH_CONFIG_TEMPLATE || '',
+
+    // Extra sshd_config directives (newline-separated in ENV), override the template
+    extraConfig: pickKeyLines(options.extraConfig, env.SSH_EXTRA_CONFIG),
+
+    // Algorithm hardening: 'modern', 'intermediate', 'compat' ('' keeps sshd defaults)
+    cryptoProfile: options.cryptoProfile || env.SSH_CRYPTO_PROFILE || '',
+
+    // Per-user rules written as Match User blocks ("contractor: sftp",
+    // "root: shell", "runner: AllowTcpForwarding no", one per line in ENV)
+    userSettings: parseUserSettings(options.userSettings, env.SSH_USER_SETTINGS),
+
+    // SFTP-only users locked into a chroot (ForceCommand internal-sftp + ChrootDirectory)
+    sftpUsers: parseList(options.sftpUsers || env.SSH_SFTP_USERS),
+    sftpChroot: options.sftpChroot || env.SSH_SFTP_CHROOT || '',
+
+    // Forwarding policy: a preset ('none' forbids all forwarding) and single
+    // settings that override it, unset ones keep the sshd default
+    forwardingPreset: options.forwardingPreset || env.SSH_FORWARDING_PRESET || '',
+    allowTcpForwarding: parseSetting(options.allowTcpForwarding !== undefined ? options.allowTcpForwarding : env.SSH_ALLOW_TCP_FORWARDING),
+    gatewayPorts: parseSetting(options.gatewayPorts !== undefined ? options.gatewayPorts : env.SSH_GATEWAY_PORTS),
+    x11Forwarding: parseSetting(options.x11Forwarding !== undefined ? options.x11Forwarding : env.SSH_X11_FORWARDING),
+    allowAgentForwarding: parseSetting(options.allowAgentForwarding !== undefined ? options.allowAgentForwarding : env.SSH_ALLOW_AGENT_FORWARDING),
+    permitTunnel: parseSetting(options.permitTunnel !== undefined ? options.permitTunnel : env.SSH_PERMIT_TUNNEL),
+    allowStreamLocalForwarding: parseSetting(options.allowStreamLocalForwarding !== undefined ? options.allowStreamLocalForwarding : env.SSH_ALLOW_STREAM_LOCAL_FORWARDING),
+
+    // Session limits ("30m", "2h", seconds), enforced by a detached watchdog
+    maxLifetime: parseDuration(options.maxLifetime || env.SSH_MAX_LIFETIME),
+    idleTimeout: parseDuration(options.idleTimeout || env.SSH_IDLE_TIMEOUT),
+
+    // What the watchdog does once a limit is reached: 'revoke' (keys) or 'stop' (sshd)
+    expireAction: options.expireAction || env.SSH_EXPIRE_ACTION || 'revoke',
+
+    // Login banner with the job context, a template file implies the banner
+    bannerTemplate: options.bannerTemplate || env.SSH_BANNER_TEMPLATE || '',
+    banner: options.banner !== undefined
+      ? options.banner
+      : parseInt(env.SSH_BANNER || '0', 10) === 1,
+
+    // Show commands, files and sshd_config diff without changing anything
+    dryRun: options.dryRun !== undefined
+      ? options.dryRun
+      : parseInt(env.SSH_DRY_RUN || '0', 10) === 1,
+
     // Runtime options
     cwd: options.cwd || env.TOOL_CWD || process.cwd(),
     verbose: options.verbose || false,
     quiet: options.quiet || false,
 
+    // CI job the session belongs to (GitHub Actions / Azure Pipelines)
+    ci: parseCIContext(env),
+
     // System info
     currentUser,
     homeDir,
@@ -53,7 +158,272 @@ function parseInput(options = {}) {
     arch: process.arch
   };
 
+  config.port = config.ports[0];
+  config.banner = config.banner || Boolean(config.bannerTemplate);
+
+  // The debug user must always be allowed in sshd
+  if (debugUser && !config.allowUsers.split(' ').includes(debugUser)) {
+    config.allowUsers = `${config.allowUsers} ${debugUser}`.trim();
+  }
+
+  config.authorizedPrincipals = parsePrincipals(config.authorizedPrincipals, config.allowUsers);
+
+  // SFTP users must be allowed in sshd and get the sftp preset with the
+  // chroot first, so their own SSH_USER_SETTINGS lines can still override it
+  config.sftpUsers.forEach(user => {
+    if (!config.allowUsers.split(' ').includes(user)) {
+      config.allowUsers = `${config.allowUsers} ${user}`.trim();
+    }
+    config.userSettings[user] = [
+      'sftp',
+      ...(config.sftpChroot ? [`ChrootDirectory ${config.sftpChroot}`] : []),
+      ...(config.userSettings[user] || [])
+    ];
+  });
+
   return config;
 }
 
+/**
+ * Parse inline public keys into key entries
+ * 
+ * Accepts a string (one key per line) or an array of strings (repeatable
+ * --public-key). CLI/library keys take precedence over SSH_RUNNER_PUBLIC_KEY.
+ * 
+ * @param {string|Array<string>} optionKeys - Keys from CLI/library options
+ * @param {string} envKeys - Keys from SSH_RUNNER_PUBLIC_KEY
+ * @returns {Array<Object>} Key entries ({ key, source, options })
+ */
+function parsePublicKeys(optionKeys, envKeys) {
+  const fromOptions = splitKeyLines([].concat(optionKeys || []).join('\n'));
+  if (fromOptions.length > 0) {
+    return fromOptions.map(line => parseKeyEntry(line, '--public-key'));
+  }
+
+  return splitKeyLines(envKeys).map(line => parseKeyEntry(line, 'SSH_RUNNER_PUBLIC_KEY'));
+}
+
+/**
+ * Pick key (or directive) lines from options (string or array) or fall back to ENV
+ * 
+ * @param {string|Array<string>} optionKeys - Lines from CLI/library options
+ * @param {string} envKeys - Lines from ENV (one per line)
+ * @returns {Array<string>} Lines
+ */
+function pickKeyLines(optionKeys, envKeys) {
+  const fromOptions = splitKeyLines([].concat(optionKeys || []).join('\n'));
+  return fromOptions.length > 0 ? fromOptions : splitKeyLines(envKeys);
+}
+
+/**
+ * Parse ports from a number, array or comma/space-separated string
+ * 
+ * Entries are ports, ranges ("2222-2299") or "auto" (the default range).
+ * A range is resolved to its first free port by plan. Malformed entries are
+ * kept as strings for validate to report.
+ * 
+ * @param {number|string|Array} value - Port(s)
+ * @returns {Array<number|Object|string>} Ports and ranges ({ spec, start, end })
+ */
+function parsePorts(value) {
+  return parseList([].concat(value).map(String)).map(entry => {
+    if (/^\d+$/.test(entry)) {
+      return parseInt(entry, 10);
+    }
+    const spec = entry.toLowerCase() === 'auto' ? AUTO_PORT_RANGE : entry;
+    const range = /^(\d+)-(\d+)$/.exec(spec);
+    return range
+      ? { spec: entry, start: parseInt(range[1], 10), end: parseInt(range[2], 10) }
+      : entry;
+  });
+}
+
+/**
+ * Parse authorized principals into a per-user map
+ * 
+ * Accepts an object ({ runner: ['alice'] }) or a string such as
+ * "runner:alice,bob;root:admins". A list without "user:" applies to every
+ * allowed user.
+ * 
+ * @param {string|Object} value - Principals spec
+ * @param {string} allowUsers - Allowed users (space-separated)
+ * @returns {Object} Map of username to principal names
+ */
+function parsePrincipals(value, allowUsers) {
+  if (!value) {
+    return {};
+  }
+
+  if (typeof value === 'object') {
+    const principals = {};
+    Object.keys(value).forEach(user => {
+      principals[user] = parseList(value[user]);
+    });
+    return principals;
+  }
+
+  const principals = {};
+  const users = allowUsers.split(' ').filter(u => u.trim());
+
+  String(value)
+    .split(/[;\n]+/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .forEach(part => {
+      const separator = part.indexOf(':');
+      const targets = separator === -1 ? users : [part.slice(0, separator).trim()];
+      const names = parseList(separator === -1 ? part : part.slice(separator + 1));
+
+      targets.forEach(user => {
+        principals[user] = [...new Set([...(principals[user] || []), ...names])];
+      });
+    });
+
+  return principals;
+}
+
+/**
+ * Parse the per-user settings
+ * 
+ * Accepts an object ({ contractor: 'sftp', root: ['shell'], runner: {
+ * AllowTcpForwarding: 'no' } }) or "user: setting" lines (string or array).
+ * Options take precedence over SSH_USER_SETTINGS. Lines without a user are
+ * kept under '' for validate to report.
+ * 
+ * @param {string|Array<string>|Object} optionValue - Settings from CLI/library options
+ * @param {string} envValue - Settings from SSH_USER_SETTINGS
+ * @returns {Object} Map of user to entries (presets or directive lines), in order
+ */
+function parseUserSettings(optionValue, envValue) {
+  if (optionValue && typeof optionValue === 'object' && !Array.isArray(optionValue)) {
+    const settings = {};
+    Object.keys(optionValue).forEach(user => {
+      const value = optionValue[user];
+      settings[user] = value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.keys(value).map(name => `${name} ${value[name]}`)
+        : [].concat(value || []).map(String);
+    });
+    return settings;
+  }
+
+  const fromOptions = splitKeyLines([].concat(optionValue || []).join('\n'));
+  const lines = fromOptions.length > 0 ? fromOptions : splitKeyLines(envValue);
+
+  const settings = {};
+  lines.forEach(line => {
+    const separator = line.indexOf(':');
+    const user = separator === -1 ? '' : line.slice(0, separator).trim();
+    const entry = separator === -1 ? line : line.slice(separator + 1).trim();
+    settings[user] = [...(settings[user] || []), entry];
+  });
+
+  return settings;
+}
+
+/**
+ * Parse the per-user key mapping
+ * 
+ * Accepts an object ({ root: ['SHA256:...'] }) or a string such as
+ * "root:SHA256:abc,admin@laptop;runner:*". Selectors match a key's
+ * fingerprint, comment or source.
+ * 
+ * @param {string|Object} value - Mapping spec
+ * @returns {Object} Map of username to selectors
+ */
+function parseUserKeys(value) {
+  if (!value) {
+    return {};
+  }
+
+  if (typeof value === 'object') {
+    const mapping = {};
+    Object.keys(value).forEach(user => {
+      mapping[user] = parseList(value[user]);
+    });
+    return mapping;
+  }
+
+  const mapping = {};
+  String(value)
+    .split(/[;\n]+/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .forEach(part => {
+      // Split on the first ":" only, fingerprints contain one too
+      const separator = part.indexOf(':');
+      const user = separator === -1 ? part : part.slice(0, separator).trim();
+      const selectors = separator === -1 ? [] : parseList(part.slice(separator + 1));
+      mapping[user] = [...new Set([...(mapping[user] || []), ...selectors])];
+    });
+
+  return mapping;
+}
+
+/**
+ * Read the CI job context from the runner's environment
+ * 
+ * @param {Object} env - Environment
+ * @returns {Object} { repository, workflow, job, runId, runUrl, runner } ('' when unknown)
+ */
+function parseCIContext(env) {
+  if (env.GITHUB_ACTIONS === 'true') {
+    const runUrl = env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY && env.GITHUB_RUN_ID
+      ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+      : '';
+    return {
+      repository: env.GITHUB_REPOSITORY || '',
+      workflow: env.GITHUB_WORKFLOW || '',
+      job: env.GITHUB_JOB || '',
+      runId: env.GITHUB_RUN_ID || '',
+      runUrl,
+      runner: env.RUNNER_NAME || os.hostname()
+    };
+  }
+
+  if (env.TF_BUILD === 'True') {
+    const runUrl = env.SYSTEM_COLLECTIONURI && env.SYSTEM_TEAMPROJECT && env.BUILD_BUILDID
+      ? `${env.SYSTEM_COLLECTIONURI}${env.SYSTEM_TEAMPROJECT}/_build/results?buildId=${env.BUILD_BUILDID}`
+      : '';
+    return {
+      repository: env.BUILD_REPOSITORY_NAME || '',
+      workflow: env.BUILD_DEFINITIONNAME || '',
+      job: env.SYSTEM_JOBDISPLAYNAME || '',
+      runId: env.BUILD_BUILDID || '',
+      runUrl,
+      runner: env.AGENT_NAME || os.hostname()
+    };
+  }
+
+  return { repository: '', workflow: '', job: '', runId: '', runUrl: '', runner: os.hostname() };
+}
+
+/**
+ * Normalize an sshd_config setting value (booleans become yes/no)
+ * 
+ * @param {string|boolean} value - Setting value
+ * @returns {string} Lower-cased value or '' if unset
+ */
+function parseSetting(value) {
+  if (typeof value === 'boolean') {
+    return value ? 'yes' : 'no';
+  }
+  return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * Parse a comma/space-separated list (or array) into unique values
+ * 
+ * @param {string|Array<string>} value - List value
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+  const items = [].concat(value || [])
+    .join(',')
+    .split(/[\s,]+/)
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  return [...new Set(items)];
+}
+
 module.exports = parseInput;
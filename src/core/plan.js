@@ -4,7 +4,13 @@
  * Detects OS, checks SSH installation, and creates execution plan.
  */
 
-const { checkCommand } = require('../adapters/process');
+const { checkCommand, spawnAsync } = require('../adapters/process');
+const { lookupUser } = require('../adapters/users');
+const { probeListener, describeOwner } = require('../adapters/ports');
+const { statPath, readFile, exists } = require('../adapters/fs');
+const { getPidFilePath, getRunningPid } = require('../adapters/daemon');
+const { parseOsRelease, resolveDistro, SFTP_SERVER_PATHS } = require('../utils/distros');
+const { INIT_SYSTEMS } = require('../utils/initSystems');
 const { ValidationError } = require('../utils/errors');
 
 /**
@@ -20,12 +26,26 @@ async function plan(config, logger) {
   logger.debug(`Detecting OS: ${platform}`);
 
   let os;
+  let distro = null;
+  let initSystem = null;
   let sshdInstalled = false;
   let sshdPath = '';
   let needsInstall = false;
 
   if (platform === 'linux') {
     os = 'linux';
+
+    // Package manager, sftp-server and service name depend on the distribution
+    distro = await detectDistro(logger);
+    config.distro = distro;
+    logger.info(`🐧 Detected ${distro.name}`);
+
+    // How sshd gets started: through the init system or directly as a daemon
+    initSystem = await detectInitSystem(logger);
+    config.initSystem = initSystem;
+    logger.info(initSystem === 'none'
+      ? '🔧 No init system found, sshd will run as a daemon with a pidfile'
+      : `🔧 Init system: ${initSystem}`);
     
     // Check if sshd is installed
     sshdInstalled = await checkCommand('sshd', logger);
@@ -55,15 +75,49 @@ async function plan(config, logger) {
     throw new ValidationError(`Unsupported platform: ${platform}. Only Linux and Windows are supported.`);
   }
 
+  const users = await resolveUsers(config, logger);
+  if (os === 'linux' && config.sftpUsers.length > 0) {
+    await checkChrootDirectory(config.sftpChroot, logger);
+  }
+  const { listeners, ports } = await resolvePorts(config, logger);
+
+  const steps = [];
+  if (needsInstall) {
+    steps.push('install');
+  }
+  if (config.debugUser) {
+    steps.push('create-user');
+  }
+  if (config.trustedUserCAKeys.length > 0) {
+    steps.push('certificate-auth');
+  }
+  if (os === 'linux' && config.sftpUsers.length > 0) {
+    steps.push('sftp-chroot');
+  }
+  if (config.banner) {
+    steps.push('banner');
+  }
+  steps.push('configure');
+  if (config.envSnapshot && os === 'linux') {
+    steps.push('env-snapshot');
+  }
+  steps.push('setup-keys', needsInstall ? 'start' : 'restart');
+  if (config.maxLifetime || config.idleTimeout) {
+    steps.push('watchdog');
+  }
+
   const executionPlan = {
     os,
     platform,
+    distro,
+    initSystem,
     sshdInstalled,
     sshdPath,
     needsInstall,
-    steps: needsInstall 
-      ? ['install', 'configure', 'setup-keys', 'start']
-      : ['configure', 'setup-keys', 'restart']
+    users,
+    listeners,
+    ports,
+    steps
   };
 
   logger.debug('Execution plan created', executionPlan);
@@ -71,4 +125,296 @@ async function plan(config, logger) {
   return executionPlan;
 }
 
+/**
+ * Detect the Linux distribution from /etc/os-release
+ * 
+ * The package manager is the first of the family's managers that is
+ * installed (dnf before yum), the sftp-server the first known location
+ * that exists, falling back to the family defaults.
+ * 
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} { id, name, version, family, manager, packageName, sftpServer, service }
+ */
+async function detectDistro(logger) {
+  let content = '';
+  for (const file of ['/etc/os-release', '/usr/lib/os-release']) {
+    if (await exists(file)) {
+      content = await readFile(file);
+      break;
+    }
+  }
+
+  const { managers, ...distro } = resolveDistro(parseOsRelease(content));
+  if (distro.family === 'unknown') {
+    logger.warn(`⚠️  Unknown Linux distribution "${distro.id}", assuming Debian-style apt-get and paths`);
+  }
+
+  distro.manager = managers[0];
+  for (const manager of managers) {
+    if (await checkCommand(manager, logger)) {
+      distro.manager = manager;
+      break;
+    }
+  }
+
+  for (const candidate of [distro.sftpServer, ...SFTP_SERVER_PATHS]) {
+    if (await exists(candidate)) {
+      distro.sftpServer = candidate;
+      break;
+    }
+  }
+
+  logger.debug('Detected distribution', distro);
+  return distro;
+}
+
+/**
+ * Detect the init system that manages services
+ * 
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<string>} 'systemd', 'openrc', 'sysv' or 'none'
+ */
+async function detectInitSystem(logger) {
+  for (const [name, initSystem] of Object.entries(INIT_SYSTEMS)) {
+    if (await exists(initSystem.marker) && await checkCommand(initSystem.command, logger)) {
+      return name;
+    }
+    logger.debug(`Init system ${name}: not running (${initSystem.marker}, ${initSystem.command})`);
+  }
+
+  return 'none';
+}
+
+/**
+ * Resolve every allowed user to its home directory and uid/gid
+ * 
+ * Users that do not exist, or root while root login is disabled, are kept
+ * in the list with a skipReason so the report can explain them.
+ * 
+ * @param {Object} config - Validated configuration
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Array<Object>>} Users ({ name, uid, gid, home, shell, skipReason })
+ */
+async function resolveUsers(config, logger) {
+  const names = config.allowUsers.split(' ').filter(u => u.trim());
+  const users = [];
+
+  for (const name of names) {
+    const info = await lookupUser(name, logger);
+
+    if (!info && name === config.debugUser) {
+      // Created by the create-user step, resolved again after creation
+      users.push({
+        name,
+        uid: null,
+        gid: null,
+        home: `/home/${name}`,
+        shell: config.debugUserShell,
+        skipReason: null,
+        pendingCreate: true
+      });
+    } else if (!info) {
+      logger.warn(`User "${name}" is in AllowUsers but does not exist on this machine`);
+      users.push({ name, skipReason: 'user does not exist' });
+    } else if (name === 'root' && config.mode !== 'root') {
+      logger.debug('Skipping keys for root: root login is disabled (SSH_MODE is not root)');
+      users.push({ ...info, skipReason: 'root login disabled (set SSH_MODE=root)' });
+    } else {
+      logger.debug(`Resolved user ${name}: home=${info.home} uid=${info.uid} gid=${info.gid}`);
+      users.push({ ...info, skipReason: null });
+    }
+  }
+
+  return users;
+}
+
+/**
+ * Check that the existing parts of the SFTP chroot path satisfy sshd
+ * 
+ * Every component, the chroot included, must be owned by root and not
+ * writable by group or others. Missing ones are created that way by setup;
+ * existing ones are never changed, so they have to be right already.
+ * 
+ * @param {string} chroot - Chroot directory (SSH_SFTP_CHROOT)
+ * @param {Logger} logger - Logger instance
+ * @throws {ValidationError} If the path can never be used for a chroot
+ */
+async function checkChrootDirectory(chroot, logger) {
+  const parts = chroot.split('/').filter(Boolean);
+  const errors = [];
+
+  for (let index = 0; index <= parts.length; index++) {
+    const dir = `/${parts.slice(0, index).join('/')}`;
+    const stats = await statPath(dir);
+    if (!stats) {
+      logger.debug(`${dir} does not exist yet, it is created root-owned`);
+      break;
+    }
+
+    if (index === parts.length && !stats.isDirectory) {
+      errors.push(`${dir} is not a directory`);
+    } else if (stats.uid !== 0) {
+      errors.push(`${dir} is owned by uid ${stats.uid}, not root`);
+    } else if ((stats.mode & 0o022) !== 0) {
+      errors.push(`${dir} is writable by group or others (mode ${stats.mode.toString(8)})`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`SSH_SFTP_CHROOT ${chroot} can never be used by sshd:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+}
+
+/**
+ * Find the pids of the sshd that the start/restart step replaces
+ * 
+ * - Windows: the sshd service process
+ * - Linux without an init system: the daemon from a previous run (pidfile
+ *   in .runner-data)
+ * - Linux otherwise: the service's main pid (systemd) and the pid in sshd's
+ *   default pidfile
+ * 
+ * @param {Object} config - Configuration (cwd, initSystem, distro)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Array<number>>} Running sshd pids
+ */
+async function findManagedSshdPids(config, logger) {
+  const pids = [];
+  const query = async (command, args) => {
+    try {
+      const result = await spawnAsync(command, args, { logger, warnOnStderr: false });
+      const pid = parseInt(result.stdout.trim(), 10);
+      return pid > 0 ? pid : null;
+    } catch {
+      return null;
+    }
+  };
+
+  if (process.platform === 'win32') {
+    pids.push(await query('powershell', [
+      '-NoProfile',
+      '-NonInteractive',
+      '-Command',
+      `Get-CimInstance Win32_Service -Filter "Name='sshd'" | Select-Object -ExpandProperty ProcessId`
+    ]));
+  } else if (config.initSystem === 'none') {
+    pids.push(await getRunningPid(getPidFilePath(config.cwd, 'sshd')));
+  } else {
+    for (const pidFile of ['/run/sshd.pid', '/var/run/sshd.pid']) {
+      pids.push(await getRunningPid(pidFile));
+    }
+    if (config.initSystem === 'systemd') {
+      for (const service of ['ssh', 'sshd']) {
+        pids.push(await query('systemctl', ['show', '--property=MainPID', '--value', service]));
+      }
+    }
+  }
+
+  const found = [...new Set(pids.filter(Boolean))];
+  logger.debug(`sshd restarted by setup: ${found.length > 0 ? `pid ${found.join(', ')}` : 'not running'}`);
+  return found;
+}
+
+/**
+ * Resolve SSH_PORT into ports sshd can bind
+ * 
+ * Every port/address pair is probed; without listen addresses sshd binds
+ * the IPv4 and IPv6 wildcards. A fixed port held by the sshd this setup
+ * restarts is only a warning, since the restart takes it over (e.g. on
+ * re-runs); any other SSH server on it (another sshd, dropbear, a
+ * container's port mapping) is a conflict. A range resolves to its first
+ * port that nothing else listens on. The resolved
+ * ports replace config.ports, so config generation, the firewall rule and
+ * the report use them.
+ * 
+ * @param {Object} config - Validated configuration
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} { listeners: [{ port, address, status, banner, owner }], ports: [{ spec, port }] }
+ * @throws {ValidationError} If a port is taken by another program, an address is not local or a range has no free port
+ */
+async function resolvePorts(config, logger) {
+  const explicitAddresses = config.listenAddresses.length > 0;
+  const addresses = explicitAddresses ? config.listenAddresses : ['0.0.0.0', '::'];
+  const fixedPorts = config.ports.filter(port => Number.isInteger(port));
+  const listeners = [];
+  const ports = [];
+  const errors = [];
+
+  // An SSH listener is only taken over when it belongs to the sshd we restart
+  const sshdPids = await findManagedSshdPids(config, logger);
+  const isManagedSshd = listener => Boolean(listener.owner && sshdPids.includes(listener.owner.pid));
+
+  const probe = async (port) => {
+    const results = [];
+    for (const address of addresses) {
+      results.push(await probeListener(port, address, logger));
+    }
+    return results;
+  };
+
+  for (const entry of config.ports) {
+    if (Number.isInteger(entry)) {
+      const results = await probe(entry);
+      listeners.push(...results);
+      ports.push({ spec: String(entry), port: entry });
+
+      results.forEach(listener => {
+        if (listener.status === 'in-use') {
+          errors.push(`port ${listener.port} on ${listener.address} is already in use by ${describeOwner(listener)}`);
+        } else if (listener.status === 'unavailable' && explicitAddresses) {
+          errors.push(`${listener.address} is not an address of this machine (port ${listener.port})`);
+        } else if (listener.status === 'ssh' && !isManagedSshd(listener)) {
+          errors.push(`port ${listener.port} on ${listener.address} is already served by an SSH server (${describeOwner(listener)}) that is not the sshd this setup restarts`);
+        } else if (listener.status === 'ssh') {
+          logger.warn(`⚠️  Port ${listener.port} on ${listener.address} is already served by an SSH server (${listener.banner}), it is taken over when sshd restarts`);
+        }
+      });
+      continue;
+    }
+
+    let chosen = null;
+    let failed = false;
+    for (let port = entry.start; port <= entry.end && !chosen; port++) {
+      if (fixedPorts.includes(port) || ports.some(selected => selected.port === port)) {
+        continue;
+      }
+
+      const results = await probe(port);
+      const unavailable = results.find(listener => listener.status === 'unavailable' && explicitAddresses);
+      if (unavailable) {
+        errors.push(`${unavailable.address} is not an address of this machine (port ${port})`);
+        failed = true;
+        break;
+      }
+
+      // The sshd we restart gives up its port on restart
+      const usable = results.every(listener => !['in-use', 'ssh'].includes(listener.status) ||
+        (listener.status === 'ssh' && isManagedSshd(listener)));
+      if (usable) {
+        chosen = port;
+        listeners.push(...results);
+      } else {
+        const taken = results.find(listener => ['in-use', 'ssh'].includes(listener.status));
+        logger.debug(`Port ${port} is taken by ${describeOwner(taken)}, trying the next one`);
+      }
+    }
+
+    if (chosen) {
+      logger.info(`✅ Selected free port ${chosen} from ${entry.start}-${entry.end}`);
+      ports.push({ spec: entry.spec, port: chosen });
+    } else if (!failed) {
+      errors.push(`no free port in ${entry.start}-${entry.end}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Cannot listen on the configured ports:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  config.ports = ports.map(entry => entry.port);
+  config.port = config.ports[0];
+
+  return { listeners, ports };
+}
+
 module.exports = plan;
@@ -5,6 +5,10 @@
  */
 
 const os = require('os');
+const { maskPublicKey } = require('../utils/mask');
+const { describeKeyOptions, describePublicKey } = require('../utils/sshKeys');
+const { getKeywords } = require('../utils/sshdConfig');
+const { formatDuration } = require('../utils/duration');
 
 /**
  * Generate and log report
@@ -15,6 +19,10 @@ const os = require('os');
  * @returns {Object} Report data
  */
 function report(result, config, logger) {
+  if (result.dryRun) {
+    return reportDryRun(result, config, logger);
+  }
+
   logger.info('');
   logger.info('═══════════════════════════════════════════════════════════');
   logger.info('🎉 SSH Server Setup Complete!');
@@ -23,22 +31,18 @@ function report(result, config, logger) {
 
   // Connection info
   const hostname = os.hostname();
-  const networkInterfaces = os.networkInterfaces();
-  const ipAddresses = [];
-
-  // Collect IP addresses
-  Object.keys(networkInterfaces).forEach(ifaceName => {
-    const iface = networkInterfaces[ifaceName];
-    iface.forEach(addr => {
-      if (addr.family === 'IPv4' && !addr.internal) {
-        ipAddresses.push(addr.address);
-      }
-    });
-  });
+  const ipAddresses = collectAddresses(config.listenAddresses);
 
   logger.info('📡 Connection Information:');
   logger.info(`   Hostname: ${hostname}`);
-  logger.info(`   SSH Port: ${config.port}`);
+  if (result.distro) {
+    logger.info(`   Distribution: ${describeDistro(result.distro)}`);
+  }
+  if (result.service) {
+    logger.info(`   SSH Service: ${describeService(result.service)}`);
+  }
+  logger.info(`   SSH Port${config.ports.length > 1 ? 's' : ''}: ${describePorts(result.ports, config)}`);
+  logger.info(`   Listen Addresses: ${config.listenAddresses.length > 0 ? config.listenAddresses.join(', ') : 'all interfaces'}`);
   logger.info(`   Allowed Users: ${config.allowUsers}`);
   logger.info('');
 
@@ -50,14 +54,114 @@ function report(result, config, logger) {
     logger.info('');
   }
 
-  logger.info('🔑 Connection Command Examples:');
-  const users = config.allowUsers.split(' ').filter(u => u.trim());
-  users.forEach(user => {
-    if (ipAddresses.length > 0) {
-      logger.info(`   ssh -p ${config.port} ${user}@${ipAddresses[0]}`);
-    } else {
-      logger.info(`   ssh -p ${config.port} ${user}@<your-ip-address>`);
+  const users = result.users || [];
+  if (users.length > 0) {
+    logger.info('👤 Login Access:');
+    users.forEach(entry => {
+      if (entry.canLogin) {
+        logger.info(`   ✅ ${entry.user} (${entry.keys} key(s))`);
+      } else {
+        logger.info(`   ❌ ${entry.user} - ${entry.reason}`);
+      }
+    });
+    logger.info('');
+  }
+
+  if (result.debugUser) {
+    const debugUser = result.debugUser;
+    logger.info(`🧪 Debug User: ${debugUser.user}${debugUser.created ? ' (created)' : ' (existing)'}`);
+    logger.info(`   Shell: ${debugUser.shell}`);
+    if (debugUser.groups.length > 0) {
+      logger.info(`   Groups: ${debugUser.groups.join(', ')}`);
+    }
+    logger.info(`   Passwordless sudo: ${debugUser.sudoersFile ? debugUser.sudoersFile : 'no'}`);
+    logger.info('   Recorded in .runner-data/data-services/debug-user.json');
+    logger.info('');
+  }
+
+  const authorizedKeys = config.publicKeys.map(entry => ({
+    key: describePublicKey(entry.key) || maskPublicKey(entry.key),
+    source: entry.source,
+    restrictions: describeKeyOptions(entry.options)
+  }));
+
+  logger.info(`🔐 Authorized Keys (${authorizedKeys.length}):`);
+  authorizedKeys.forEach(entry => {
+    logger.info(`   - ${entry.key} [${entry.source}]`);
+    logger.info(`     Restrictions: ${entry.restrictions.length > 0 ? entry.restrictions.join('; ') : 'none'}`);
+  });
+  logger.info('');
+
+  const certificateAuth = config.trustedUserCAKeys.length > 0
+    ? {
+      caKeys: config.trustedUserCAKeys.map(caKey => describePublicKey(caKey) || maskPublicKey(caKey)),
+      principals: config.authorizedPrincipals
     }
+    : null;
+
+  if (certificateAuth) {
+    logger.info(`📜 Certificate Authentication (${certificateAuth.caKeys.length} trusted CA key(s)):`);
+    certificateAuth.caKeys.forEach(caKey => {
+      logger.info(`   - ${caKey}`);
+    });
+    Object.keys(certificateAuth.principals).forEach(user => {
+      logger.info(`   Principals for ${user}: ${certificateAuth.principals[user].join(', ')}`);
+    });
+    logger.info('');
+  }
+
+  if (result.sshdConfig) {
+    const sshdConfig = result.sshdConfig;
+    logger.info(`🛠️  sshd Config: ${sshdConfig.path} (${sshdConfig.mode})`);
+    if (sshdConfig.backupPath) {
+      logger.info(`   Backup: ${sshdConfig.backupPath}`);
+    }
+    if (config.configTemplate) {
+      logger.info(`   Template: ${config.configTemplate}`);
+    }
+    if (config.extraConfig.length > 0) {
+      logger.info(`   Extra directives: ${config.extraConfig.join('; ')}`);
+    }
+    sshdConfig.conflicts.forEach(conflict => {
+      logger.info(`   ⚠️  line ${conflict.lineNumber}: "${conflict.name} ${conflict.args}" ${conflict.effect} the generated setting`);
+    });
+    logger.info('');
+  }
+
+  if (result.sshdConfig && result.sshdConfig.crypto) {
+    reportCryptoProfile(result.sshdConfig.crypto, config, logger);
+  }
+
+  if (result.sshdConfig && result.sshdConfig.forwarding) {
+    reportForwardingPolicy(result.sshdConfig.forwarding, logger);
+  }
+
+  reportUserSettings(config, logger);
+
+  if (result.banner) {
+    logger.info(`🪧 Login Banner: ${result.banner}`);
+    logger.info('');
+  }
+
+  if (result.envSnapshot) {
+    reportEnvSnapshot(result.envSnapshot, logger);
+  }
+
+  if (result.watchdog) {
+    reportWatchdog(result.watchdog, config, logger);
+  }
+
+  logger.info('🔑 Connection Command Examples:');
+  const loginUsers = users.length > 0
+    ? users.filter(entry => entry.canLogin).map(entry => entry.user)
+    : config.allowUsers.split(' ').filter(u => u.trim());
+  const targets = ipAddresses.length > 0 ? ipAddresses : ['<your-ip-address>'];
+  loginUsers.forEach(user => {
+    targets.forEach(address => {
+      config.ports.forEach(port => {
+        logger.info(`   ssh -p ${port} ${user}@${address}`);
+      });
+    });
   });
   logger.info('');
 
@@ -74,9 +178,13 @@ function report(result, config, logger) {
     success: true,
     hostname,
     port: config.port,
+    ports: config.ports,
+    listenAddresses: config.listenAddresses,
     ipAddresses,
     allowUsers: config.allowUsers,
     defaultCwd: config.defaultCwd,
+    authorizedKeys,
+    certificateAuth,
     timestamp: new Date().toISOString(),
     ...result
   };
@@ -84,4 +192,271 @@ function report(result, config, logger) {
   return reportData;
 }
 
+/**
+ * Describe the detected Linux distribution
+ * 
+ * @param {Object} distro - Distribution from plan
+ * @returns {string} e.g. "Ubuntu 22.04.4 LTS (debian family, apt-get, service ssh)"
+ */
+function describeDistro(distro) {
+  return `${distro.name} (${distro.family} family, ${distro.manager}, service ${distro.service})`;
+}
+
+/**
+ * Describe how the SSH service runs
+ * 
+ * @param {Object} service - Service from execute
+ * @returns {string} e.g. "ssh (systemd)" or "sshd daemon (pid 812, pidfile .../sshd.pid)"
+ */
+function describeService(service) {
+  if (service.initSystem === 'none') {
+    return `sshd daemon (${service.pid ? `pid ${service.pid}, ` : ''}pidfile ${service.pidFile})`;
+  }
+  return `${service.name} (${service.initSystem || 'Windows service'})`;
+}
+
+/**
+ * Describe the ports, noting those selected from a range
+ * 
+ * @param {Array<Object>} [ports] - Resolved ports from plan ({ spec, port })
+ * @param {Object} config - Configuration
+ * @returns {string} e.g. "2222, 2231 (from auto)"
+ */
+function describePorts(ports, config) {
+  if (!ports || ports.length === 0) {
+    return config.ports.join(', ');
+  }
+
+  return ports
+    .map(entry => (entry.spec === String(entry.port) ? entry.spec : `${entry.port} (from ${entry.spec})`))
+    .join(', ');
+}
+
+/**
+ * Collect the addresses clients can connect to
+ * 
+ * Wildcards (or no listen address at all) expand to the external interface
+ * addresses of that family; IPv6 link-local addresses are skipped since
+ * they need a zone. Specific addresses (127.0.0.1 for tunnels) are used as is.
+ * 
+ * @param {Array<string>} listenAddresses - Configured listen addresses
+ * @returns {Array<string>} Addresses
+ */
+function collectAddresses(listenAddresses) {
+  const interfaces = Object.values(os.networkInterfaces())
+    .flat()
+    .filter(addr => !addr.internal && !/^fe80:/i.test(addr.address));
+  const byFamily = family => interfaces
+    .filter(addr => addr.family === family)
+    .map(addr => addr.address);
+
+  const addresses = [];
+  (listenAddresses.length > 0 ? listenAddresses : ['0.0.0.0', '::']).forEach(address => {
+    if (address === '0.0.0.0') {
+      addresses.push(...byFamily('IPv4'));
+    } else if (address === '::') {
+      addresses.push(...byFamily('IPv6'));
+    } else {
+      addresses.push(address);
+    }
+  });
+
+  return [...new Set(addresses)];
+}
+
+/**
+ * Log what a dry run would do
+ * 
+ * @param {Object} result - Execution result with dryRun ({ commands, files })
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ * @returns {Object} Report data
+ */
+function reportDryRun(result, config, logger) {
+  const { commands, files } = result.dryRun;
+
+  logger.info('');
+  logger.info('═══════════════════════════════════════════════════════════');
+  logger.info('🔍 Dry Run - nothing was changed');
+  logger.info('═══════════════════════════════════════════════════════════');
+  logger.info('');
+
+  if (result.distro) {
+    logger.info(`🐧 Distribution: ${describeDistro(result.distro)}`);
+  }
+  if (result.initSystem) {
+    logger.info(`🔧 Init system: ${result.initSystem === 'none' ? 'none (sshd runs as a daemon with a pidfile)' : result.initSystem}`);
+  }
+  logger.info(`🔌 SSH Port${config.ports.length > 1 ? 's' : ''}: ${describePorts(result.ports, config)}`);
+  logger.info('');
+
+  logger.info(`⚙️  Commands (${commands.length}):`);
+  commands.forEach(entry => {
+    logger.info(`   ${entry.sudo ? '[sudo]   ' : '[no sudo]'} ${entry.command}`);
+  });
+  logger.info('');
+
+  logger.info(`📝 Files that would be written (${files.length}):`);
+  files.forEach(entry => {
+    logger.info(`   - ${entry.path}${entry.diff === '' ? ' (unchanged)' : ''}`);
+  });
+  logger.info('');
+
+  files
+    .filter(entry => entry.diff)
+    .forEach(entry => {
+      logger.info(`📄 Diff of ${entry.path}:`);
+      entry.diff.trimEnd().split('\n').forEach(line => logger.info(line));
+      logger.info('');
+    });
+
+  if (result.sshdConfig && result.sshdConfig.conflicts.length > 0) {
+    logger.info('⚠️  Existing sshd_config directives that take effect over ours:');
+    result.sshdConfig.conflicts.forEach(conflict => {
+      logger.info(`   line ${conflict.lineNumber}: "${conflict.name} ${conflict.args}" ${conflict.effect} the generated setting`);
+    });
+    logger.info('');
+  }
+
+  if (result.sshdConfig && result.sshdConfig.crypto) {
+    reportCryptoProfile(result.sshdConfig.crypto, config, logger);
+  }
+
+  if (result.sshdConfig && result.sshdConfig.forwarding) {
+    reportForwardingPolicy(result.sshdConfig.forwarding, logger);
+  }
+
+  reportUserSettings(config, logger);
+
+  if (result.banner) {
+    logger.info(`🪧 Login Banner: ${result.banner}`);
+    logger.info('');
+  }
+
+  if (result.envSnapshot) {
+    reportEnvSnapshot(result.envSnapshot, logger);
+  }
+
+  if (result.watchdog) {
+    reportWatchdog(result.watchdog, config, logger);
+  }
+
+  logger.info('═══════════════════════════════════════════════════════════');
+  logger.info('');
+
+  return {
+    success: true,
+    dryRun: true,
+    port: config.port,
+    ports: config.ports,
+    allowUsers: config.allowUsers,
+    commands,
+    files,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Log the crypto profile and the algorithms dropped from it
+ * 
+ * @param {Object} crypto - Resolved crypto profile ({ profile, directives, dropped, filtered })
+ * @param {Object} config - Configuration
+ * @param {Logger} logger - Logger instance
+ */
+function reportCryptoProfile(crypto, config, logger) {
+  const overridden = getKeywords(config.extraConfig.join('\n'));
+
+  logger.info(`🔒 Crypto Profile: ${crypto.profile}${crypto.filtered ? '' : ' (not checked against ssh -Q)'}`);
+  crypto.directives.forEach(directive => {
+    const note = overridden.has(directive.name.toLowerCase()) ? ' (overridden by SSH_EXTRA_CONFIG)' : '';
+    logger.info(`   ${directive.name}: ${directive.algorithms.length} algorithm(s)${note}`);
+  });
+  if (crypto.dropped.length > 0) {
+    logger.info('   Dropped (not supported by the installed OpenSSH):');
+    crypto.dropped.forEach(entry => {
+      logger.info(`   - ${entry.directive} ${entry.algorithm}`);
+    });
+  }
+  logger.info('');
+}
+
+/**
+ * Log the effective forwarding policy and where each value comes from
+ * 
+ * @param {Array<Object>} forwarding - Settings from describeForwardingPolicy ({ name, value, source })
+ * @param {Logger} logger - Logger instance
+ */
+function reportForwardingPolicy(forwarding, logger) {
+  logger.info('🔀 Forwarding Policy:');
+  forwarding.forEach(setting => {
+    logger.info(`   ${setting.name}: ${setting.value} (${setting.source})`);
+  });
+  logger.info('');
+}
+
+/**
+ * Log the per-user rules (Match User blocks)
+ * 
+ * @param {Object} config - Configuration (userSettings)
+ * @param {Logger} logger - Logger instance
+ */
+function reportUserSettings(config, logger) {
+  const users = Object.keys(config.userSettings || {});
+  if (users.length === 0) {
+    return;
+  }
+
+  logger.info('🧩 Per-user Rules (Match User):');
+  users.forEach(user => {
+    logger.info(`   ${user}: ${config.userSettings[user].join('; ')}`);
+  });
+  logger.info('');
+}
+
+/**
+ * Log the job environment carried into SSH sessions (names only)
+ * 
+ * @param {Object} envSnapshot - installEnvSnapshot result
+ * @param {Logger} logger - Logger instance
+ */
+function reportEnvSnapshot(envSnapshot, logger) {
+  const droppedBy = reason => envSnapshot.dropped
+    .filter(variable => variable.reason === reason)
+    .map(variable => variable.name);
+
+  logger.info(`🌱 Job Environment (${envSnapshot.path}):`);
+  logger.info(`   Captured: ${envSnapshot.variables.length} variable(s), readable by ${envSnapshot.users.join(', ') || 'nobody'} only`);
+  [
+    ['secret', 'Dropped (secret-looking)'],
+    ['connection string', 'Dropped (URL / connection string)'],
+    ['denied', 'Dropped (SSH_ENV_DENY)']
+  ].forEach(([reason, label]) => {
+    const names = droppedBy(reason);
+    if (names.length > 0) {
+      logger.info(`   ${label}: ${names.join(', ')}`);
+    }
+  });
+  logger.info('');
+}
+
+/**
+ * Log the session limits enforced by the watchdog
+ * 
+ * @param {Object} watchdog - Watchdog state from startWatchdog
+ * @param {Object} config - Configuration (maxLifetime)
+ * @param {Logger} logger - Logger instance
+ */
+function reportWatchdog(watchdog, config, logger) {
+  logger.info(`🐕 Session Watchdog${watchdog.pid ? ` (pid ${watchdog.pid})` : ''}:`);
+  if (watchdog.deadline) {
+    logger.info(`   Max lifetime: ${formatDuration(config.maxLifetime)} (until ${watchdog.deadline})`);
+  }
+  if (watchdog.idleTimeout) {
+    logger.info(`   Idle timeout: ${formatDuration(watchdog.idleTimeout)} without SSH connections`);
+  }
+  logger.info(`   On expiry: ${watchdog.action === 'stop' ? 'stop the SSH service' : 'revoke the installed keys'}`);
+  logger.info(`   Log: ${watchdog.logDir}`);
+  logger.info('');
+}
+
 module.exports = report;
@@ -0,0 +1,136 @@
+/**
+ * Resolve Keys Module
+ *
+ * Expands key sources (SSH_RUNNER_PUBLIC_KEY_FILE file or directory of *.pub
+ * files, SSH_GITHUB_USERS) into public key entries on the configuration and
+ * applies the default SSH_KEY_OPTIONS.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { readFile, exists } = require('../adapters/fs');
+const { splitKeyLines, parseKeyEntry, parseKeyOptions } = require('../utils/sshKeys');
+const { ValidationError } = require('../utils/errors');
+const { createGitHubKeyFetcher } = require('../adapters/keyFetcher');
+
+// GitHub username rules: alphanumeric or single hyphens, max 39 chars
+const GITHUB_USER_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/;
+
+/**
+ * Resolve all public keys into config.publicKeys
+ *
+ * @param {Object} config - Parsed configuration
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} Configuration with resolved publicKeys
+ */
+async function resolveKeys(config, logger) {
+  const publicKeys = [...config.publicKeys];
+
+  if (config.publicKeyFile) {
+    const fileKeys = await readKeySource(config.publicKeyFile, logger);
+    publicKeys.push(...fileKeys);
+  }
+
+  if (config.githubUsers && config.githubUsers.length > 0) {
+    const fetcher = config.keyFetcher || createGitHubKeyFetcher({
+      baseUrl: config.githubKeysUrl,
+      logger
+    });
+    const githubKeys = await fetchUserKeys(config.githubUsers, fetcher, logger);
+    publicKeys.push(...githubKeys);
+  }
+
+  // Keys without inline options inherit SSH_KEY_OPTIONS
+  if (config.keyOptions) {
+    let defaultOptions;
+    try {
+      defaultOptions = parseKeyOptions(config.keyOptions);
+    } catch (error) {
+      throw new ValidationError(`SSH_KEY_OPTIONS is malformed: ${error.message}`);
+    }
+
+    publicKeys
+      .filter(entry => entry.options.length === 0 && !entry.optionsError)
+      .forEach(entry => {
+        entry.options = defaultOptions.map(opt => ({ ...opt }));
+      });
+  }
+
+  logger.debug(`Resolved ${publicKeys.length} public key(s)`);
+
+  config.publicKeys = publicKeys;
+  return config;
+}
+
+/**
+ * Read key entries from a file or a directory of *.pub files
+ *
+ * @param {string} sourcePath - File or directory path
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Array<Object>>} Key entries ({ key, source, options })
+ */
+async function readKeySource(sourcePath, logger) {
+  const resolvedPath = path.resolve(sourcePath);
+
+  if (!(await exists(resolvedPath))) {
+    throw new ValidationError(`SSH_RUNNER_PUBLIC_KEY_FILE does not exist: ${resolvedPath}`);
+  }
+
+  const stat = await fs.stat(resolvedPath);
+  const files = [];
+
+  if (stat.isDirectory()) {
+    const entries = await fs.readdir(resolvedPath);
+    entries
+      .filter(name => name.endsWith('.pub'))
+      .sort()
+      .forEach(name => files.push(path.join(resolvedPath, name)));
+
+    logger.debug(`Found ${files.length} *.pub file(s) in ${resolvedPath}`);
+  } else {
+    files.push(resolvedPath);
+  }
+
+  const entries = [];
+  for (const file of files) {
+    const content = await readFile(file);
+    splitKeyLines(content).forEach(line => entries.push(parseKeyEntry(line, file)));
+  }
+
+  return entries;
+}
+
+/**
+ * Fetch key entries for a list of usernames through a key fetcher
+ *
+ * @param {Array<string>} usernames - Usernames
+ * @param {Object} fetcher - Key fetcher ({ fetchKeys(username) })
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Array<Object>>} Key entries ({ key, source, options })
+ */
+async function fetchUserKeys(usernames, fetcher, logger) {
+  const invalid = usernames.filter(user => !GITHUB_USER_PATTERN.test(user));
+  if (invalid.length > 0) {
+    throw new ValidationError(`SSH_GITHUB_USERS has invalid username(s): ${invalid.join(', ')}`);
+  }
+
+  const entries = [];
+  for (const username of usernames) {
+    const keys = await fetcher.fetchKeys(username);
+    if (keys.length === 0) {
+      throw new ValidationError(`GitHub user "${username}" has no public keys`);
+    }
+
+    logger.debug(`Fetched ${keys.length} key(s) for GitHub user ${username}`);
+
+    keys.forEach(line => {
+      // Keys from <user>.keys carry no comment, tag them with the username
+      const key = line.split(/\s+/).length === 2 ? `${line} github:${username}` : line;
+      entries.push(parseKeyEntry(key, `github:${username}`));
+    });
+  }
+
+  return entries;
+}
+
+module.exports = resolveKeys;
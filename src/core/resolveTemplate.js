@@ -0,0 +1,55 @@
+/**
+ * Resolve Template Module
+ *
+ * Reads the sshd_config template given by SSH_CONFIG_TEMPLATE and the banner
+ * template given by SSH_BANNER_TEMPLATE so they can be validated before
+ * anything is changed on the machine.
+ */
+
+const path = require('path');
+const { readFile, exists } = require('../adapters/fs');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Load the templates into config.configTemplateContent and config.bannerTemplateContent
+ *
+ * @param {Object} config - Parsed configuration
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} Configuration with both contents ('' without a template)
+ */
+async function resolveTemplate(config, logger) {
+  config.configTemplateContent = '';
+  config.bannerTemplateContent = '';
+
+  if (config.configTemplate) {
+    config.configTemplate = await resolveTemplatePath(config.configTemplate, 'SSH_CONFIG_TEMPLATE');
+    config.configTemplateContent = await readFile(config.configTemplate);
+    logger.debug(`Loaded sshd_config template from ${config.configTemplate}`);
+  }
+
+  if (config.bannerTemplate) {
+    config.bannerTemplate = await resolveTemplatePath(config.bannerTemplate, 'SSH_BANNER_TEMPLATE');
+    config.bannerTemplateContent = await readFile(config.bannerTemplate);
+    logger.debug(`Loaded banner template from ${config.bannerTemplate}`);
+  }
+
+  return config;
+}
+
+/**
+ * Resolve a template path and make sure it exists
+ *
+ * @param {string} templatePath - Configured path
+ * @param {string} name - Setting name for errors
+ * @returns {Promise<string>} Absolute path
+ * @throws {ValidationError} If the file does not exist
+ */
+async function resolveTemplatePath(templatePath, name) {
+  const resolved = path.resolve(templatePath);
+  if (!(await exists(resolved))) {
+    throw new ValidationError(`${name} does not exist: ${resolved}`);
+  }
+  return resolved;
+}
+
+module.exports = resolveTemplate;
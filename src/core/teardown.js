@@ -0,0 +1,160 @@
+/**
+ * Teardown Module
+ *
+ * Undoes the changes recorded in the manifest during setup, restoring the
+ * machine to its state before runner-add-ssh ran.
+ */
+
+const path = require('path');
+const linuxExecutor = require('./execute/linux');
+const windowsExecutor = require('./execute/windows');
+const commonExecutor = require('./execute/common');
+const { hasSudoAccess } = require('../adapters/process');
+const { deleteFile, removePathSudo } = require('../adapters/fs');
+const { loadManifest, saveManifest, deleteManifest } = require('../adapters/manifest');
+const { stopWatchdog } = require('./watchdog');
+const { ProcessError, ValidationError } = require('../utils/errors');
+
+// Files go back first, then the service picks them up, then accounts and packages
+const TEARDOWN_ORDER = ['managed-block', 'file', 'directory', 'firewall-rule', 'service', 'group-membership', 'user', 'package'];
+
+/**
+ * Undo recorded setup changes
+ *
+ * Changes that fail are kept in the manifest so teardown can be retried.
+ * Installed packages are only removed with config.uninstall.
+ *
+ * @param {Object} config - Teardown configuration ({ cwd, uninstall })
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object>} { removed, kept, failed }
+ */
+async function teardown(config, logger) {
+  const result = { removed: [], kept: [], failed: [] };
+
+  // Nothing left for the watchdog to revoke or stop
+  if (await stopWatchdog(config.cwd, logger)) {
+    logger.info('🐕 Stopped the session watchdog');
+  }
+
+  const manifest = await loadManifest(config.cwd);
+  if (!manifest || manifest.changes.length === 0) {
+    logger.info('ℹ️  No recorded changes found, nothing to remove');
+    return result;
+  }
+
+  const os = process.platform === 'win32' ? 'windows' : 'linux';
+  if (manifest.os !== os) {
+    throw new ValidationError(`Manifest was recorded on ${manifest.os}, cannot tear down on ${os}`);
+  }
+
+  if (os === 'linux' && !(await hasSudoAccess(logger))) {
+    throw new ProcessError('Insufficient privileges to tear down SSH. Run as root or configure passwordless sudo.');
+  }
+
+  const executor = os === 'windows' ? windowsExecutor : linuxExecutor;
+  const changes = [...manifest.changes]
+    .reverse()
+    .sort((a, b) => TEARDOWN_ORDER.indexOf(a.type) - TEARDOWN_ORDER.indexOf(b.type));
+
+  logger.info(`🧹 Undoing ${changes.length} recorded change(s)...`);
+
+  for (const change of changes) {
+    if (change.type === 'package' && !config.uninstall) {
+      logger.info(`   ⏭️  Keeping ${describeChange(change)} (use --uninstall to remove)`);
+      result.kept.push(change);
+      continue;
+    }
+
+    try {
+      await undoChange(change, executor, config, logger);
+      logger.info(`   ✅ ${describeChange(change)}`);
+      result.removed.push(change);
+    } catch (error) {
+      logger.warn(`   ❌ ${describeChange(change)}: ${error.message}`);
+      result.failed.push({ change, error: error.message });
+    }
+  }
+
+  const remaining = [...result.kept, ...result.failed.map(entry => entry.change)];
+  if (remaining.length > 0) {
+    manifest.changes = manifest.changes.filter(change => remaining.includes(change));
+    await saveManifest(config.cwd, manifest);
+  } else {
+    await deleteManifest(config.cwd);
+    await deleteFile(path.join(config.cwd, '.runner-data', 'data-services', 'debug-user.json'));
+  }
+
+  if (result.failed.length > 0) {
+    throw new ProcessError(`Failed to undo ${result.failed.length} change(s), kept in the manifest for a retry`);
+  }
+
+  return result;
+}
+
+/**
+ * Undo a single recorded change
+ *
+ * @param {Object} change - Manifest change
+ * @param {Object} executor - Platform executor
+ * @param {Object} config - Teardown configuration
+ * @param {Logger} logger - Logger instance
+ */
+async function undoChange(change, executor, config, logger) {
+  switch (change.type) {
+    case 'managed-block':
+      return commonExecutor.removeAuthorizedKeysBlock(change, config, logger);
+    case 'file':
+      return commonExecutor.restoreFile(change, config, logger);
+    case 'directory':
+      return removePathSudo(change.path, logger);
+    case 'firewall-rule':
+      return windowsExecutor.removeFirewallRule(change, logger);
+    case 'service':
+      return executor.restoreService(change, logger);
+    case 'group-membership':
+      return linuxExecutor.removeGroupMembership(change, logger);
+    case 'user':
+      return linuxExecutor.removeDebugUser(change, logger);
+    case 'package':
+      return executor.uninstallSSH(change, logger);
+    default:
+      throw new ValidationError(`Unknown change type "${change.type}"`);
+  }
+}
+
+/**
+ * Describe a change for log output
+ *
+ * @param {Object} change - Manifest change
+ * @returns {string} Description
+ */
+function describeChange(change) {
+  switch (change.type) {
+    case 'managed-block':
+      return `authorized_keys block for ${change.user} (${change.path})`;
+    case 'file':
+      return change.backupPath ? `restore ${change.path}` : `delete ${change.path}`;
+    case 'directory':
+      return `delete ${change.path}`;
+    case 'firewall-rule':
+      return `firewall rule ${change.name}`;
+    case 'service':
+      if (change.initSystem === 'none') {
+        return `sshd daemon (${change.pidFile}, stopped)`;
+      }
+      if (change.startupType) {
+        return `service ${change.name} (${change.wasActive ? 'restarted' : 'stopped'}, startup ${change.startupType})`;
+      }
+      return `service ${change.name} (${change.wasActive ? 'restarted' : 'stopped'}${change.wasEnabled ? '' : ', disabled'})`;
+    case 'group-membership':
+      return `groups ${change.groups.join(', ')} of ${change.name}`;
+    case 'user':
+      return `user ${change.name}`;
+    case 'package':
+      return `package ${change.name}`;
+    default:
+      return change.type;
+  }
+}
+
+module.exports = teardown;
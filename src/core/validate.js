@@ -4,7 +4,43 @@
  * Validates the parsed configuration before execution.
  */
 
+const net = require('net');
 const { ValidationError } = require('../utils/errors');
+const { parsePublicKey, SUPPORTED_KEY_TYPES } = require('../utils/sshKeys');
+const {
+  KNOWN_DIRECTIVES,
+  MATCH_DIRECTIVES,
+  TEMPLATE_PLACEHOLDERS,
+  parseDirectives,
+  findPlaceholders,
+  renderTemplate
+} = require('../utils/sshdConfig');
+const { getCryptoProfileNames, acceptsKeyType } = require('../utils/cryptoProfiles');
+const { FORWARDING_SETTINGS, getForwardingPresetNames } = require('../utils/forwardingPolicy');
+const { getUserPresetNames, isUserPreset } = require('../utils/userSettings');
+const { BANNER_PLACEHOLDERS } = require('../utils/banner');
+
+// authorized_keys options without a value (the positive ones re-enable
+// what 'restrict' turns off)
+const FLAG_KEY_OPTIONS = [
+  'restrict',
+  'no-pty',
+  'pty',
+  'no-port-forwarding',
+  'port-forwarding',
+  'no-agent-forwarding',
+  'agent-forwarding',
+  'no-x11-forwarding',
+  'x11-forwarding',
+  'no-user-rc',
+  'user-rc'
+];
+
+// authorized_keys options with a quoted value
+const VALUE_KEY_OPTIONS = ['from', 'expiry-time', 'permitopen', 'permitlisten', 'command'];
+
+// Options that may appear more than once
+const REPEATABLE_KEY_OPTIONS = ['permitopen', 'permitlisten'];
 
 /**
  * Validate configuration
@@ -15,22 +51,123 @@ const { ValidationError } = require('../utils/errors');
 function validate(config) {
   const errors = [];
 
-  // Validate public key
-  if (!config.publicKey || config.publicKey.trim() === '') {
-    errors.push('SSH_RUNNER_PUBLIC_KEY is required but not provided');
+  // Validate key policy settings
+  const unknownTypes = config.allowedKeyTypes.filter(type => !SUPPORTED_KEY_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    errors.push(`SSH_ALLOWED_KEY_TYPES has unsupported type(s): ${unknownTypes.join(', ')}. Supported: ${SUPPORTED_KEY_TYPES.join(', ')}`);
+  }
+  if (!Number.isInteger(config.minRsaBits) || config.minRsaBits < 1024) {
+    errors.push(`SSH_MIN_RSA_BITS must be an integer >= 1024, got: ${config.minRsaBits}`);
+  }
+
+  // Validate crypto profile (before the keys, which are checked against it)
+  const cryptoProfiles = getCryptoProfileNames();
+  const cryptoProfile = cryptoProfiles.includes(config.cryptoProfile) ? config.cryptoProfile : '';
+  if (config.cryptoProfile && !cryptoProfile) {
+    errors.push(`SSH_CRYPTO_PROFILE must be one of: ${cryptoProfiles.join(', ')}, got: ${config.cryptoProfile}`);
+  }
+
+  // Validate public keys (each one on its own)
+  const hasCertificateAuth = config.trustedUserCAKeys && config.trustedUserCAKeys.length > 0;
+  if ((!config.publicKeys || config.publicKeys.length === 0) && !hasCertificateAuth) {
+    errors.push('No SSH public key provided. Set SSH_RUNNER_PUBLIC_KEY, SSH_RUNNER_PUBLIC_KEY_FILE, SSH_GITHUB_USERS or SSH_TRUSTED_USER_CA_KEYS');
   } else {
-    // Basic SSH public key format check
-    const keyPattern = /^(ssh-rsa|ssh-ed25519|ecdsa-sha2-nistp256|ecdsa-sha2-nistp384|ecdsa-sha2-nistp521)\s+[A-Za-z0-9+/=]+(\s+.*)?$/;
-    if (!keyPattern.test(config.publicKey.trim())) {
-      errors.push('SSH_RUNNER_PUBLIC_KEY has invalid format. Expected format: "ssh-rsa AAAA..." or "ssh-ed25519 AAAA..."');
+    config.publicKeys.forEach((entry, index) => {
+      const label = `Public key #${index + 1} (${entry.source})`;
+
+      const keyError = checkKeyPolicy(entry.key, config);
+      if (keyError) {
+        errors.push(`${label} ${keyError}`);
+      } else if (cryptoProfile) {
+        const parsed = parsePublicKey(entry.key);
+        if (!acceptsKeyType(cryptoProfile, parsed.type)) {
+          errors.push(`${label} (${parsed.fingerprint}) uses ${parsed.type}, which SSH_CRYPTO_PROFILE=${cryptoProfile} does not accept`);
+        }
+      }
+
+      if (entry.optionsError) {
+        errors.push(`${label} has malformed options: ${entry.optionsError}`);
+      } else {
+        validateKeyOptions(entry.options || []).forEach(err => errors.push(`${label}: ${err}`));
+      }
+    });
+  }
+
+  // Validate trusted CA keys (plain public keys, no options or certificates)
+  (config.trustedUserCAKeys || []).forEach((caKey, index) => {
+    const keyError = checkKeyPolicy(caKey, config);
+    if (keyError) {
+      errors.push(`Trusted CA key #${index + 1} ${keyError}`);
     }
+  });
+
+  // Validate per-user key mapping
+  const allowedUserNames = (config.allowUsers || '').split(' ').filter(u => u.trim());
+  Object.keys(config.userKeys || {}).forEach(user => {
+    if (!allowedUserNames.includes(user)) {
+      errors.push(`SSH_USER_KEYS maps keys to "${user}", who is not in SSH_ALLOW_USERS`);
+    }
+    if (config.userKeys[user].length === 0) {
+      errors.push(`SSH_USER_KEYS has no key selectors for user "${user}"`);
+    }
+  });
+
+  // Validate principals (only meaningful with a trusted CA)
+  const principalUsers = Object.keys(config.authorizedPrincipals || {});
+  if (principalUsers.length > 0 && !hasCertificateAuth) {
+    errors.push('SSH_AUTHORIZED_PRINCIPALS requires SSH_TRUSTED_USER_CA_KEYS');
   }
+  principalUsers.forEach(user => {
+    if (!/^[A-Za-z0-9._][A-Za-z0-9._-]*\$?$/.test(user)) {
+      errors.push(`SSH_AUTHORIZED_PRINCIPALS has invalid username: "${user}"`);
+    }
+    const principals = config.authorizedPrincipals[user];
+    if (principals.length === 0) {
+      errors.push(`SSH_AUTHORIZED_PRINCIPALS has no principals for user "${user}"`);
+    }
+    principals
+      .filter(name => /[\s,#]/.test(name))
+      .forEach(name => errors.push(`SSH_AUTHORIZED_PRINCIPALS has invalid principal "${name}" for user "${user}"`));
+  });
 
-  // Validate port
-  if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
-    errors.push(`SSH_PORT must be a valid port number (1-65535), got: ${config.port}`);
+  // Validate debug user
+  if (config.debugUser) {
+    if (config.platform !== 'linux') {
+      errors.push('SSH_DEBUG_USER is only supported on Linux');
+    }
+    if (!/^[a-z_][a-z0-9_-]{0,31}$/.test(config.debugUser)) {
+      errors.push(`SSH_DEBUG_USER must be a valid Linux username (lowercase, max 32 chars), got: ${config.debugUser}`);
+    }
+    if (config.debugUser === 'root' || config.debugUser === config.currentUser) {
+      errors.push(`SSH_DEBUG_USER must be a new account, not "${config.debugUser}"`);
+    }
+    if (!require('path').isAbsolute(config.debugUserShell)) {
+      errors.push(`SSH_DEBUG_USER_SHELL must be an absolute path, got: ${config.debugUserShell}`);
+    }
+    config.debugUserGroups
+      .filter(group => !/^[a-z_][a-z0-9_-]{0,31}$/.test(group))
+      .forEach(group => errors.push(`SSH_DEBUG_USER_GROUPS has invalid group name: ${group}`));
   }
 
+  // Validate ports
+  if (config.ports.length === 0) {
+    errors.push('SSH_PORT cannot be empty');
+  }
+  config.ports.forEach(port => {
+    if (port !== null && typeof port === 'object') {
+      if (port.start < 1 || port.end > 65535 || port.start > port.end) {
+        errors.push(`SSH_PORT range must be <start>-<end> within 1-65535, got: ${port.spec}`);
+      }
+    } else if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      errors.push(`SSH_PORT must be a port number (1-65535), a range (2222-2299) or auto, got: ${port}`);
+    }
+  });
+
+  // Validate listen addresses (IP literals, IPv6 link-local may carry a %zone)
+  config.listenAddresses
+    .filter(address => !isValidListenAddress(address))
+    .forEach(address => errors.push(`SSH_LISTEN_ADDRESSES must contain IPv4/IPv6 addresses (e.g. 0.0.0.0, ::, 127.0.0.1, ::1), got: ${address}`));
+
   // Validate mode
   const validModes = ['root', 'user', 'auto'];
   if (!validModes.includes(config.mode)) {
@@ -47,6 +184,98 @@ function validate(config) {
     errors.push(`SSH_DEFAULT_CWD must be an absolute path, got: ${config.defaultCwd}`);
   }
 
+  // Validate per-user settings (emitted inside Match User blocks)
+  Object.keys(config.userSettings || {}).forEach(user => {
+    if (!/^[^\s:]+$/.test(user)) {
+      config.userSettings[user].forEach(entry => errors.push(`SSH_USER_SETTINGS entries must look like "user: setting", got: ${user ? `${user}: ` : ''}${entry}`));
+      return;
+    }
+
+    config.userSettings[user].forEach(entry => {
+      if (isUserPreset(entry)) {
+        return;
+      }
+
+      const [directive] = parseDirectives(entry);
+      if (!directive || !KNOWN_DIRECTIVES.includes(directive.keyword)) {
+        errors.push(`SSH_USER_SETTINGS for ${user}: "${entry}" is neither a preset (${getUserPresetNames().join(', ')}) nor a known directive`);
+      } else if (directive.args === '') {
+        errors.push(`SSH_USER_SETTINGS for ${user}: "${directive.name}" requires a value`);
+      } else if (!MATCH_DIRECTIVES.includes(directive.keyword)) {
+        errors.push(`SSH_USER_SETTINGS for ${user}: "${directive.name}" cannot be used inside a Match block`);
+      }
+    });
+  });
+
+  // Validate SFTP-only chroot users
+  if (config.sftpUsers.length > 0 || config.sftpChroot) {
+    if (config.platform === 'win32') {
+      errors.push('SSH_SFTP_USERS is only supported on Linux');
+    } else if (config.sftpUsers.length === 0) {
+      errors.push('SSH_SFTP_CHROOT requires SSH_SFTP_USERS');
+    } else if (!config.sftpChroot) {
+      errors.push('SSH_SFTP_USERS requires SSH_SFTP_CHROOT (a root-owned directory such as /srv/artifacts)');
+    } else {
+      const chrootError = checkChrootPath(config.sftpChroot, config);
+      if (chrootError) {
+        errors.push(`SSH_SFTP_CHROOT ${chrootError}, got: ${config.sftpChroot}`);
+      }
+    }
+  }
+
+  // Validate forwarding policy
+  const forwardingPresets = getForwardingPresetNames();
+  if (config.forwardingPreset && !forwardingPresets.includes(config.forwardingPreset)) {
+    errors.push(`SSH_FORWARDING_PRESET must be one of: ${forwardingPresets.join(', ')}, got: ${config.forwardingPreset}`);
+  }
+  FORWARDING_SETTINGS
+    .filter(setting => config[setting.key] && !setting.values.includes(config[setting.key]))
+    .forEach(setting => errors.push(`${setting.env} must be one of: ${setting.values.join(', ')}, got: ${config[setting.key]}`));
+
+  // Validate session limits (the watchdog polls every 30 seconds)
+  [['SSH_MAX_LIFETIME', config.maxLifetime], ['SSH_IDLE_TIMEOUT', config.idleTimeout]]
+    .filter(([, value]) => value !== null && (!Number.isInteger(value) || value < 60))
+    .forEach(([name, value]) => errors.push(`${name} must be a duration of at least 60 seconds (e.g. 90, 30m, 2h, 1h30m), got: ${value}`));
+  const expireActions = ['revoke', 'stop'];
+  if (!expireActions.includes(config.expireAction)) {
+    errors.push(`SSH_EXPIRE_ACTION must be one of: ${expireActions.join(', ')}, got: ${config.expireAction}`);
+  }
+
+  // Validate environment snapshot patterns (names with * wildcards)
+  [['SSH_ENV_ALLOW', config.envAllow], ['SSH_ENV_DENY', config.envDeny]].forEach(([name, patterns]) => {
+    patterns
+      .filter(pattern => !/^[A-Za-z0-9_*]+$/.test(pattern))
+      .forEach(pattern => errors.push(`${name} entries must be variable names or patterns like GITHUB_*, got: ${pattern}`));
+  });
+
+  // Validate banner template placeholders
+  findPlaceholders(config.bannerTemplateContent)
+    .filter(name => !BANNER_PLACEHOLDERS.includes(name))
+    .forEach(name => errors.push(`SSH_BANNER_TEMPLATE uses unknown placeholder {{${name}}}. Available: ${BANNER_PLACEHOLDERS.join(', ')}`));
+
+  // Validate sshd_config template and extra directives
+  if (config.configTemplateContent) {
+    findPlaceholders(config.configTemplateContent)
+      .filter(name => !TEMPLATE_PLACEHOLDERS.includes(name))
+      .forEach(name => errors.push(`SSH_CONFIG_TEMPLATE uses unknown placeholder {{${name}}}. Available: ${TEMPLATE_PLACEHOLDERS.join(', ')}`));
+    // Lines holding only a placeholder ({{forceCommand}}) render whole directives
+    const templateDirectives = config.configTemplateContent
+      .split('\n')
+      .map(line => {
+        const names = findPlaceholders(line);
+        const blanks = Object.fromEntries(names.map(name => [name, '']));
+        return names.length > 0 && renderTemplate(line, blanks).trim() === '' ? '' : line;
+      })
+      .join('\n');
+    validateDirectives(parseDirectives(templateDirectives), 'SSH_CONFIG_TEMPLATE')
+      .forEach(err => errors.push(err));
+  }
+  validateDirectives(parseDirectives((config.extraConfig || []).join('\n')), 'SSH_EXTRA_CONFIG')
+    .forEach(err => errors.push(err));
+  if ((config.extraConfig || []).some(line => /^match(\s|=|$)/i.test(line))) {
+    errors.push('SSH_EXTRA_CONFIG cannot contain Match blocks, put them in SSH_CONFIG_TEMPLATE');
+  }
+
   // Throw if any errors
   if (errors.length > 0) {
     throw new ValidationError(
@@ -55,4 +284,222 @@ function validate(config) {
   }
 }
 
+/**
+ * Parse a public key and check it against the key policy
+ * 
+ * @param {string} keyText - Public key text
+ * @param {Object} config - Parsed configuration (allowedKeyTypes, minRsaBits)
+ * @returns {string|null} Error message or null if the key is acceptable
+ */
+function checkKeyPolicy(keyText, config) {
+  let parsed;
+  try {
+    parsed = parsePublicKey(keyText);
+  } catch (error) {
+    return `is invalid: ${error.message}. Expected format: "ssh-ed25519 AAAA..." or "ssh-rsa AAAA..."`;
+  }
+
+  if (!config.allowedKeyTypes.includes(parsed.type)) {
+    return `(${parsed.fingerprint}) uses disallowed type ${parsed.type}. Allowed: ${config.allowedKeyTypes.join(', ')}`;
+  }
+
+  if (parsed.type === 'ssh-rsa' && parsed.bits < config.minRsaBits) {
+    return `(${parsed.fingerprint}) is RSA ${parsed.bits} bits, minimum is ${config.minRsaBits}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate authorized_keys options for a single key
+ * 
+ * @param {Array<Object>} options - Options ({ name, value })
+ * @returns {Array<string>} Error messages
+ */
+function validateKeyOptions(options) {
+  const errors = [];
+  const seen = new Set();
+
+  for (const { name, value } of options) {
+    const lowerName = name.toLowerCase();
+
+    if (FLAG_KEY_OPTIONS.includes(lowerName)) {
+      if (value !== null) {
+        errors.push(`option "${name}" does not take a value`);
+      }
+      continue;
+    }
+
+    if (!VALUE_KEY_OPTIONS.includes(lowerName)) {
+      errors.push(`unknown option "${name}". Supported: ${[...FLAG_KEY_OPTIONS, ...VALUE_KEY_OPTIONS].join(', ')}`);
+      continue;
+    }
+
+    if (value === null || value.trim() === '') {
+      errors.push(`option "${name}" requires a value`);
+      continue;
+    }
+
+    // permitopen/permitlisten may be repeated, the others only once
+    if (!REPEATABLE_KEY_OPTIONS.includes(lowerName) && seen.has(lowerName)) {
+      errors.push(`option "${name}" is specified more than once`);
+    }
+    seen.add(lowerName);
+
+    if (lowerName === 'from') {
+      value.split(',').forEach(pattern => {
+        if (!isValidFromPattern(pattern.trim())) {
+          errors.push(`from="${value}" has invalid address pattern "${pattern}"`);
+        }
+      });
+    } else if (lowerName === 'expiry-time') {
+      const expiry = parseExpiryTime(value);
+      if (!expiry) {
+        errors.push(`expiry-time="${value}" must be YYYYMMDD[HHMM[SS]][Z]`);
+      } else if (expiry.getTime() <= Date.now()) {
+        errors.push(`expiry-time="${value}" is already in the past`);
+      }
+    } else if (lowerName === 'permitopen') {
+      if (!/^(\[[0-9a-fA-F:.]+\]|[A-Za-z0-9.*?-]+):(\d{1,5}|\*)$/.test(value) ||
+          (value.split(':').pop() !== '*' && Number(value.split(':').pop()) > 65535)) {
+        errors.push(`permitopen="${value}" must be host:port (port 1-65535 or *)`);
+      }
+    } else if (lowerName === 'permitlisten') {
+      if (!/^((\[[0-9a-fA-F:.]+\]|[A-Za-z0-9.*?-]+):)?(\d{1,5}|\*)$/.test(value) ||
+          (value.split(':').pop() !== '*' && Number(value.split(':').pop()) > 65535)) {
+        errors.push(`permitlisten="${value}" must be [host:]port (port 1-65535 or *)`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate sshd_config directives against the known keywords
+ * 
+ * @param {Array<Object>} directives - Parsed directives ({ keyword, name, args, lineNumber })
+ * @param {string} source - Setting the directives come from (for messages)
+ * @returns {Array<string>} Error messages
+ */
+function validateDirectives(directives, source) {
+  const errors = [];
+
+  directives.forEach(directive => {
+    if (!KNOWN_DIRECTIVES.includes(directive.keyword)) {
+      errors.push(`${source} line ${directive.lineNumber} has unknown directive "${directive.name}"`);
+    } else if (directive.args === '') {
+      errors.push(`${source} line ${directive.lineNumber}: "${directive.name}" requires a value`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check a ChrootDirectory path against the rules sshd enforces
+ * 
+ * sshd only accepts a chroot whose every path component is root-owned and
+ * not writable by group or others. Directories that can never be made so
+ * without breaking the machine (world-writable temp dirs, home directories)
+ * are rejected here; the rest is checked on disk by plan.
+ * 
+ * @param {string} chroot - Chroot directory
+ * @param {Object} config - Configuration (homeDir, currentUser)
+ * @returns {string|null} Problem description or null if usable
+ */
+function checkChrootPath(chroot, config) {
+  const path = require('path').posix;
+  if (!path.isAbsolute(chroot)) {
+    return 'must be an absolute path';
+  }
+  if (/\s|%/.test(chroot)) {
+    return 'must not contain whitespace or % tokens';
+  }
+  if (chroot.split('/').some(part => part === '.' || part === '..')) {
+    return 'must not contain . or .. components';
+  }
+
+  const normalized = path.normalize(chroot).replace(/\/+$/, '');
+  const isWithin = dir => normalized === dir || normalized.startsWith(`${dir}/`);
+  if (normalized === '') {
+    return 'must not be / (users would see the whole file system)';
+  }
+  const tempDir = ['/tmp', '/var/tmp', '/dev/shm'].find(isWithin);
+  if (tempDir) {
+    return `cannot be inside ${tempDir}, which is writable by everyone`;
+  }
+  const homeDir = config.currentUser !== 'root' && config.homeDir !== '/root' ? config.homeDir : null;
+  if (/^\/home\/[^/]+/.test(normalized) || (homeDir && isWithin(homeDir))) {
+    return 'cannot be inside a home directory, which belongs to its user (copy the artifacts to a directory such as /srv/artifacts)';
+  }
+
+  return null;
+}
+
+/**
+ * Check a ListenAddress value (IP literal, IPv6 optionally with a %zone)
+ * 
+ * @param {string} address - Address
+ * @returns {boolean} True if well-formed
+ */
+function isValidListenAddress(address) {
+  const [ip, zone] = address.split('%');
+  if (zone !== undefined) {
+    return net.isIP(ip) === 6 && /^[\w.-]+$/.test(zone);
+  }
+  return net.isIP(ip) !== 0;
+}
+
+/**
+ * Check a from= pattern (hostname/IP wildcard or CIDR, optionally negated)
+ * 
+ * @param {string} pattern - Address pattern
+ * @returns {boolean} True if well-formed
+ */
+function isValidFromPattern(pattern) {
+  const value = pattern.startsWith('!') ? pattern.slice(1) : pattern;
+  if (!value) {
+    return false;
+  }
+
+  if (value.includes('/')) {
+    const [address, prefix] = value.split('/');
+    const bits = Number(prefix);
+    const family = net.isIP(address);
+    if (!family || !/^\d+$/.test(prefix)) {
+      return false;
+    }
+    return bits <= (family === 4 ? 32 : 128);
+  }
+
+  return net.isIP(value) !== 0 || /^[A-Za-z0-9.*?:-]+$/.test(value);
+}
+
+/**
+ * Parse an expiry-time value (YYYYMMDD[HHMM[SS]], local time unless Z)
+ * 
+ * @param {string} value - expiry-time value
+ * @returns {Date|null} Parsed date or null if malformed
+ */
+function parseExpiryTime(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(Z)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+  const parts = [year, month - 1, day, hour, minute, second].map(Number);
+  const date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+
+  // Reject overflowed dates such as 20261340
+  const month0 = utc ? date.getUTCMonth() : date.getMonth();
+  const day0 = utc ? date.getUTCDate() : date.getDate();
+  if (month0 !== parts[1] || day0 !== parts[2]) {
+    return null;
+  }
+
+  return date;
+}
+
 module.exports = validate;
@@ -0,0 +1,270 @@
+/**
+ * Watchdog Module
+ *
+ * Closes SSH access left open by accident. Setup starts a detached
+ * `runner-add-ssh watchdog` process that revokes the installed keys or stops
+ * sshd once SSH_MAX_LIFETIME has passed or no SSH connection was open for
+ * SSH_IDLE_TIMEOUT. Its state is kept in
+ * .runner-data/data-services/watchdog.json and it logs to
+ * .runner-data/logs/watchdog-<date>.log.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const linuxExecutor = require('./execute/linux');
+const windowsExecutor = require('./execute/windows');
+const commonExecutor = require('./execute/common');
+const { readJson, writeJson, exists, deleteFile, removePathSudo } = require('../adapters/fs');
+const { spawnDetached } = require('../adapters/process');
+const { countConnections } = require('../adapters/ports');
+const { loadManifest } = require('../adapters/manifest');
+const { isDryRun } = require('../adapters/journal');
+const { formatDuration } = require('../utils/duration');
+
+const WATCHDOG_FILE = 'watchdog.json';
+const CLI_PATH = path.join(__dirname, '..', '..', 'bin', 'runner-add-ssh.js');
+
+// How often the watchdog checks the deadline and the connections
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Get the watchdog state path for a working directory
+ *
+ * @param {string} cwd - Working directory containing .runner-data
+ * @returns {string} State file path
+ */
+function getWatchdogPath(cwd) {
+  return path.join(cwd, '.runner-data', 'data-services', WATCHDOG_FILE);
+}
+
+/**
+ * Load the watchdog state
+ *
+ * @param {string} cwd - Working directory containing .runner-data
+ * @returns {Promise<Object|null>} State or null if no watchdog was started
+ */
+async function loadState(cwd) {
+  const statePath = getWatchdogPath(cwd);
+  if (!(await exists(statePath))) {
+    return null;
+  }
+
+  try {
+    return await readJson(statePath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Start the watchdog for the configured session limits
+ *
+ * A watchdog from a previous run is stopped first. Without SSH_MAX_LIFETIME
+ * and SSH_IDLE_TIMEOUT nothing is started.
+ *
+ * @param {Object} config - Configuration (cwd, maxLifetime, idleTimeout, expireAction, ports)
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<Object|null>} State ({ pid, startedAt, deadline, idleTimeout, action, ports, logDir }) or null
+ */
+async function startWatchdog(config, logger) {
+  await stopWatchdog(config.cwd, logger);
+
+  if (!config.maxLifetime && !config.idleTimeout) {
+    return null;
+  }
+
+  const startedAt = new Date();
+  const state = {
+    pid: null,
+    startedAt: startedAt.toISOString(),
+    deadline: config.maxLifetime
+      ? new Date(startedAt.getTime() + config.maxLifetime * 1000).toISOString()
+      : null,
+    idleTimeout: config.idleTimeout,
+    action: config.expireAction,
+    ports: config.ports
+  };
+
+  // Written before the spawn, the watchdog reads it on startup
+  const statePath = getWatchdogPath(config.cwd);
+  await writeJson(statePath, state);
+
+  // GitHub runners kill processes left by a job unless RUNNER_TRACKING_ID is cleared
+  state.pid = await spawnDetached(process.execPath, [CLI_PATH, 'watchdog', '--cwd', config.cwd], {
+    logger,
+    env: { ...process.env, RUNNER_TRACKING_ID: '' }
+  });
+  await writeJson(statePath, state);
+
+  return { ...state, logDir: path.join(config.cwd, '.runner-data', 'logs') };
+}
+
+/**
+ * Stop a running watchdog and forget its state
+ *
+ * @param {string} cwd - Working directory containing .runner-data
+ * @param {Logger} logger - Logger instance
+ * @returns {Promise<boolean>} True if a running watchdog was stopped
+ */
+async function stopWatchdog(cwd, logger) {
+  const state = await loadState(cwd);
+  if (!state || isDryRun()) {
+    return false;
+  }
+
+  let stopped = false;
+  if (state.pid && (await isWatchdogProcess(state.pid))) {
+    try {
+      process.kill(state.pid);
+      stopped = true;
+      logger.debug(`Stopped watchdog (pid ${state.pid})`);
+    } catch (error) {
+      logger.debug(`Could not stop watchdog (pid ${state.pid}): ${error.message}`);
+    }
+  }
+
+  await deleteFile(getWatchdogPath(cwd));
+  return stopped;
+}
+
+/**
+ * Check whether a pid still belongs to a watchdog (pids get reused)
+ *
+ * @param {number} pid - Process id
+ * @returns {Promise<boolean>} True if the process runs and looks like the watchdog
+ */
+async function isWatchdogProcess(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch {
+    return false;
+  }
+
+  if (process.platform !== 'linux') {
+    return true;
+  }
+
+  try {
+    const cmdline = await fs.readFile(`/proc/${pid}/cmdline`, 'utf8');
+    return cmdline.split('\0').includes('watchdog');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run the watchdog loop until a limit is reached (the watchdog process)
+ *
+ * Exits early when its state file is removed or taken over by a newer
+ * watchdog. Connections that cannot be counted count as activity.
+ *
+ * @param {string} cwd - Working directory containing .runner-data
+ * @param {Logger} logger - Logger instance (writing to the watchdog log)
+ * @returns {Promise<Object|null>} { reason, action } once expired, null if it exited early
+ */
+async function runWatchdog(cwd, logger) {
+  const state = await loadState(cwd);
+  if (!state) {
+    logger.warn('No watchdog state found, nothing to watch');
+    return null;
+  }
+
+  logger.info(`🐕 Watchdog started (pid ${process.pid}), action on expiry: ${state.action}`);
+  if (state.deadline) {
+    logger.info(`   Max lifetime ends at ${state.deadline}`);
+  }
+  if (state.idleTimeout) {
+    logger.info(`   Idle timeout: ${formatDuration(state.idleTimeout)} without connections on port(s) ${state.ports.join(', ')}`);
+  }
+
+  let lastActive = Date.now();
+  let lastCount;
+  let reason = null;
+
+  while (!reason) {
+    await new Promise(resolve => setTimeout(resolve, CHECK_INTERVAL_MS));
+
+    const current = await loadState(cwd);
+    if (!current || (current.pid && current.pid !== process.pid)) {
+      logger.info('Watchdog state was removed or replaced, exiting');
+      return null;
+    }
+
+    const now = Date.now();
+    if (state.deadline && now >= Date.parse(state.deadline)) {
+      reason = `max lifetime reached (${state.deadline})`;
+    } else if (state.idleTimeout) {
+      const count = await countConnections(state.ports, logger);
+      if (count !== lastCount) {
+        logger.info(count === null ? 'Could not count SSH connections, treating as active' : `${count} SSH connection(s)`);
+        lastCount = count;
+      }
+
+      if (count !== 0) {
+        lastActive = now;
+      } else if (now - lastActive >= state.idleTimeout * 1000) {
+        reason = `no SSH connection for ${formatDuration(state.idleTimeout)}`;
+      }
+    }
+  }
+
+  logger.info(`⏰ ${reason}, ${state.action === 'stop' ? 'stopping the SSH service' : 'revoking SSH access'}`);
+  await expire(state, cwd, logger);
+  await deleteFile(getWatchdogPath(cwd));
+  logger.info('✅ Watchdog done');
+
+  return { reason, action: state.action };
+}
+
+/**
+ * Apply the expiry action to the changes recorded by setup
+ *
+ * - 'revoke': removes the installed authorized_keys blocks and the trusted
+ *   CA keys, sshd keeps running for everyone else
+ * - 'stop': stops the SSH service
+ *
+ * Sessions that are already open are not ended. `runner-add-ssh remove`
+ * still undoes the rest of the setup afterwards.
+ *
+ * @param {Object} state - Watchdog state
+ * @param {string} cwd - Working directory containing .runner-data
+ * @param {Logger} logger - Logger instance
+ */
+async function expire(state, cwd, logger) {
+  const manifest = await loadManifest(cwd);
+  if (!manifest) {
+    logger.warn('No recorded setup found, nothing to revoke or stop');
+    return;
+  }
+
+  if (state.action === 'stop') {
+    const executor = manifest.os === 'windows' ? windowsExecutor : linuxExecutor;
+    const service = manifest.changes.find(change => change.type === 'service') ||
+      { name: manifest.os === 'windows' ? 'sshd' : 'ssh' };
+    await executor.stopService(service, logger);
+    logger.info(`   Stopped service ${service.name}`);
+    return;
+  }
+
+  const config = { cwd };
+  const caDir = commonExecutor.getCertificateAuthPaths().baseDir;
+  for (const change of manifest.changes) {
+    try {
+      if (change.type === 'managed-block') {
+        await commonExecutor.removeAuthorizedKeysBlock(change, config, logger);
+        logger.info(`   Revoked keys of ${change.user} (${change.path})`);
+      } else if (change.type === 'directory' && change.path === caDir) {
+        await removePathSudo(change.path, logger);
+        logger.info(`   Removed trusted CA keys (${change.path})`);
+      }
+    } catch (error) {
+      logger.error(`Could not revoke ${change.path}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  startWatchdog,
+  stopWatchdog,
+  runWatchdog
+};
@@ -4,24 +4,66 @@
  * Provides a programmatic API to setup SSH server.
  */
 
+const path = require('path');
 const parseInput = require('./core/parseInput');
+const resolveKeys = require('./core/resolveKeys');
+const resolveTemplate = require('./core/resolveTemplate');
 const validate = require('./core/validate');
 const plan = require('./core/plan');
 const execute = require('./core/execute');
 const report = require('./core/report');
+const teardown = require('./core/teardown');
 const Logger = require('./utils/logger');
+const { createGitHubKeyFetcher } = require('./adapters/keyFetcher');
 const { handleError } = require('./utils/errors');
 
 /**
  * Setup SSH server programmatically
  * 
  * @param {Object} options - Configuration options
- * @param {string} [options.publicKey] - SSH public key (overrides SSH_RUNNER_PUBLIC_KEY)
- * @param {number} [options.port] - SSH port (overrides SSH_PORT)
+ * @param {string|Array<string>} [options.publicKey] - SSH public key(s), one per line or array (overrides SSH_RUNNER_PUBLIC_KEY)
+ * @param {string} [options.publicKeyFile] - Public key file or directory of *.pub files (overrides SSH_RUNNER_PUBLIC_KEY_FILE)
+ * @param {string|Array<string>} [options.githubUsers] - GitHub usernames to fetch keys for (overrides SSH_GITHUB_USERS)
+ * @param {string} [options.githubKeysUrl] - Base URL for <user>.keys lookups (overrides SSH_GITHUB_KEYS_URL)
+ * @param {Object} [options.keyFetcher] - Custom key fetcher with fetchKeys(username) => Promise<string[]>
+ * @param {string} [options.keyOptions] - Default authorized_keys options (overrides SSH_KEY_OPTIONS)
+ * @param {string|Object} [options.userKeys] - Keys per user (overrides SSH_USER_KEYS)
+ * @param {string|Array<string>} [options.allowedKeyTypes] - Allowed key algorithms (overrides SSH_ALLOWED_KEY_TYPES)
+ * @param {number} [options.minRsaBits] - Minimum RSA key size (overrides SSH_MIN_RSA_BITS)
+ * @param {string|Array<string>} [options.trustedUserCAKeys] - Trusted user CA public keys (overrides SSH_TRUSTED_USER_CA_KEYS)
+ * @param {string|Object} [options.authorizedPrincipals] - Principals per user (overrides SSH_AUTHORIZED_PRINCIPALS)
+ * @param {number|string|Array<number|string>} [options.port] - SSH port(s), e.g. 2222, [2222, 2223], 'auto' or '2222-2299' (overrides SSH_PORT)
+ * @param {string|Array<string>} [options.listenAddresses] - Listen addresses, IPv4/IPv6 (overrides SSH_LISTEN_ADDRESSES)
  * @param {string} [options.mode] - SSH mode: 'root', 'user', 'auto' (overrides SSH_MODE)
  * @param {string} [options.allowUsers] - Allowed users (overrides SSH_ALLOW_USERS)
+ * @param {string} [options.debugUser] - Dedicated throwaway user to create (overrides SSH_DEBUG_USER)
+ * @param {string} [options.debugUserShell] - Shell for the debug user (overrides SSH_DEBUG_USER_SHELL)
+ * @param {string|Array<string>} [options.debugUserGroups] - Groups for the debug user (overrides SSH_DEBUG_USER_GROUPS)
+ * @param {boolean} [options.debugUserSudo] - Passwordless sudo for the debug user (overrides SSH_DEBUG_USER_SUDO)
  * @param {string} [options.defaultCwd] - Default working directory (overrides SSH_DEFAULT_CWD)
  * @param {boolean} [options.disableForceCwd] - Disable ForceCommand (overrides SSH_DISABLE_FORCE_CWD)
+ * @param {boolean} [options.envSnapshot] - Carry the job's environment into SSH sessions, Linux only (overrides SSH_ENV_SNAPSHOT)
+ * @param {string|Array<string>} [options.envAllow] - Variable patterns to capture, e.g. ['GITHUB_*', 'PATH'] (overrides SSH_ENV_ALLOW)
+ * @param {string|Array<string>} [options.envDeny] - Variable patterns never to capture (overrides SSH_ENV_DENY)
+ * @param {string} [options.configTemplate] - sshd_config template file with {{placeholders}} (overrides SSH_CONFIG_TEMPLATE)
+ * @param {string|Array<string>} [options.extraConfig] - Extra sshd_config directives, one per line or array (overrides SSH_EXTRA_CONFIG)
+ * @param {string} [options.cryptoProfile] - Algorithm profile: 'modern', 'intermediate', 'compat' (overrides SSH_CRYPTO_PROFILE)
+ * @param {Object|string|Array<string>} [options.userSettings] - Per-user rules as Match User blocks, e.g. { contractor: 'sftp', root: 'shell', runner: { AllowTcpForwarding: 'no' } } (overrides SSH_USER_SETTINGS)
+ * @param {string|Array<string>} [options.sftpUsers] - Users limited to SFTP inside sftpChroot, Linux only (overrides SSH_SFTP_USERS)
+ * @param {string} [options.sftpChroot] - Root-owned directory the SFTP users are locked into (overrides SSH_SFTP_CHROOT)
+ * @param {string} [options.forwardingPreset] - 'none' forbids all forwarding and tunnels (overrides SSH_FORWARDING_PRESET)
+ * @param {string|boolean} [options.allowTcpForwarding] - AllowTcpForwarding: yes, no, local, remote, all (overrides SSH_ALLOW_TCP_FORWARDING)
+ * @param {string|boolean} [options.gatewayPorts] - GatewayPorts: yes, no, clientspecified (overrides SSH_GATEWAY_PORTS)
+ * @param {string|boolean} [options.x11Forwarding] - X11Forwarding: yes, no (overrides SSH_X11_FORWARDING)
+ * @param {string|boolean} [options.allowAgentForwarding] - AllowAgentForwarding: yes, no (overrides SSH_ALLOW_AGENT_FORWARDING)
+ * @param {string|boolean} [options.permitTunnel] - PermitTunnel: yes, no, point-to-point, ethernet (overrides SSH_PERMIT_TUNNEL)
+ * @param {string|boolean} [options.allowStreamLocalForwarding] - AllowStreamLocalForwarding: yes, no, local, remote, all (overrides SSH_ALLOW_STREAM_LOCAL_FORWARDING)
+ * @param {number|string} [options.maxLifetime] - Revoke access or stop sshd after this long, e.g. '2h' or seconds (overrides SSH_MAX_LIFETIME)
+ * @param {number|string} [options.idleTimeout] - Same after this long without SSH connections, e.g. '30m'; also sets ClientAlive* (overrides SSH_IDLE_TIMEOUT)
+ * @param {string} [options.expireAction] - Watchdog action on expiry: 'revoke' or 'stop' (overrides SSH_EXPIRE_ACTION)
+ * @param {boolean} [options.banner] - Show a login banner with the job context (overrides SSH_BANNER)
+ * @param {string} [options.bannerTemplate] - Banner template file with {{placeholders}}, implies banner (overrides SSH_BANNER_TEMPLATE)
+ * @param {boolean} [options.dryRun] - Only report commands, files and sshd_config diff (overrides SSH_DRY_RUN)
  * @param {string} [options.cwd] - Working directory for .runner-data
  * @param {boolean} [options.verbose] - Enable verbose logging
  * @param {boolean} [options.quiet] - Suppress output
@@ -41,6 +83,12 @@ async function setupSSH(options = {}) {
     const config = parseInput(options);
     logger.debug('Parsed configuration', config);
 
+    // Resolve public keys from files/directories
+    await resolveKeys(config, logger);
+
+    // Load the sshd_config template, if any
+    await resolveTemplate(config, logger);
+
     // Validate configuration
     validate(config);
     logger.info('✅ Configuration validated');
@@ -51,7 +99,7 @@ async function setupSSH(options = {}) {
 
     // Execute the plan
     const result = await execute(executionPlan, config, logger);
-    logger.info('✅ SSH setup completed successfully');
+    logger.info(config.dryRun ? '✅ Dry run completed, nothing was changed' : '✅ SSH setup completed successfully');
 
     // Report result
     const reportData = report(result, config, logger);
@@ -64,6 +112,43 @@ async function setupSSH(options = {}) {
   }
 }
 
+/**
+ * Undo a previous setup programmatically
+ * 
+ * Uses the manifest recorded in .runner-data/data-services/manifest.json.
+ * 
+ * @param {Object} options - Teardown options
+ * @param {string} [options.cwd] - Working directory for .runner-data (same as used for setup)
+ * @param {boolean} [options.uninstall] - Also uninstall OpenSSH Server if setup installed it
+ * @param {boolean} [options.verbose] - Enable verbose logging
+ * @param {boolean} [options.quiet] - Suppress output
+ * @returns {Promise<Object>} { removed, kept, failed }
+ */
+async function teardownSSH(options = {}) {
+  const logger = new Logger({
+    cwd: options.cwd || process.cwd(),
+    verbose: options.verbose || false,
+    quiet: options.quiet || false
+  });
+
+  try {
+    logger.info('🧹 runner-add-ssh - Removing SSH setup...');
+
+    const config = {
+      cwd: path.resolve(options.cwd || process.cwd()),
+      uninstall: options.uninstall || false
+    };
+
+    return await teardown(config, logger);
+
+  } catch (error) {
+    handleError(error, logger);
+    throw error;
+  }
+}
+
 module.exports = {
-  setupSSH
+  setupSSH,
+  teardownSSH,
+  createGitHubKeyFetcher
 };
@@ -0,0 +1,84 @@
+/**
+ * Login Banner
+ *
+ * Renders the sshd Banner shown when someone connects: which repository,
+ * workflow run and runner the session belongs to, where it starts, when
+ * access closes and how to end it. SSH_BANNER_TEMPLATE replaces the
+ * built-in text, using the same {{placeholders}}.
+ */
+
+const { renderTemplate } = require('./sshdConfig');
+const { formatDuration } = require('./duration');
+
+const BANNER_PLACEHOLDERS = [
+  'repository', 'workflow', 'job', 'runId', 'runUrl', 'runner',
+  'defaultCwd', 'closesAt', 'endSession'
+];
+
+const DEFAULT_BANNER_TEMPLATE = `===========================================================
+ runner-add-ssh debug session
+-----------------------------------------------------------
+ Repository : {{repository}}
+ Workflow   : {{workflow}} / {{job}} (run {{runId}})
+ Run        : {{runUrl}}
+ Runner     : {{runner}}
+ Directory  : {{defaultCwd}}
+ Closes     : {{closesAt}}
+-----------------------------------------------------------
+ {{endSession}}
+===========================================================
+`;
+
+/**
+ * Get the placeholder values for the banner
+ *
+ * @param {Object} config - Configuration (ci, defaultCwd, maxLifetime, idleTimeout, expireAction)
+ * @param {Date} [now=new Date()] - Setup time the max lifetime counts from
+ * @returns {Object} Placeholder values ('-' when a CI value is unknown)
+ */
+function getBannerValues(config, now = new Date()) {
+  const ci = config.ci || {};
+  const limits = [];
+  if (config.maxLifetime) {
+    const deadline = new Date(now.getTime() + config.maxLifetime * 1000);
+    limits.push(`${deadline.toISOString().slice(0, 16).replace('T', ' ')} UTC (max lifetime ${formatDuration(config.maxLifetime)})`);
+  }
+  if (config.idleTimeout) {
+    limits.push(`after ${formatDuration(config.idleTimeout)} without SSH connections`);
+  }
+
+  const closing = limits.length > 0
+    ? `, access is ${config.expireAction === 'stop' ? 'stopped' : 'revoked'} automatically when it closes`
+    : ', "runner-add-ssh remove" closes SSH access';
+
+  return {
+    repository: ci.repository || '-',
+    workflow: ci.workflow || '-',
+    job: ci.job || '-',
+    runId: ci.runId || '-',
+    runUrl: ci.runUrl || '-',
+    runner: ci.runner || '-',
+    defaultCwd: config.defaultCwd,
+    closesAt: limits.length > 0 ? limits.join(', or ') : 'no limit set',
+    endSession: `Type "exit" to leave${closing}`
+  };
+}
+
+/**
+ * Render the banner text
+ *
+ * @param {Object} config - Configuration (bannerTemplateContent, ...)
+ * @param {Date} [now] - Setup time
+ * @returns {string} Banner text (ends with a newline)
+ */
+function renderBanner(config, now) {
+  const text = renderTemplate(config.bannerTemplateContent || DEFAULT_BANNER_TEMPLATE, getBannerValues(config, now));
+  return text.endsWith('\n') ? text : `${text}\n`;
+}
+
+module.exports = {
+  BANNER_PLACEHOLDERS,
+  DEFAULT_BANNER_TEMPLATE,
+  getBannerValues,
+  renderBanner
+};
@@ -0,0 +1,171 @@
+/**
+ * Crypto Profiles
+ *
+ * Algorithm lists for the generated sshd config (SSH_CRYPTO_PROFILE), in
+ * order of preference:
+ *
+ * - modern: curve25519/post-quantum key exchange, AEAD ciphers, EtM MACs,
+ *   Ed25519 and RSA-SHA2 keys
+ * - intermediate: modern plus NIST curves, larger DH groups, AES-CTR and ECDSA keys
+ * - compat: intermediate plus SHA-1 fallbacks (group14-sha1, hmac-sha1, ssh-rsa)
+ *   for old clients
+ */
+
+const MODERN = {
+  KexAlgorithms: [
+    'mlkem768x25519-sha256',
+    'sntrup761x25519-sha512',
+    'sntrup761x25519-sha512@openssh.com',
+    'curve25519-sha256',
+    'curve25519-sha256@libssh.org'
+  ],
+  Ciphers: [
+    'chacha20-poly1305@openssh.com',
+    'aes256-gcm@openssh.com',
+    'aes128-gcm@openssh.com'
+  ],
+  MACs: [
+    'hmac-sha2-512-etm@openssh.com',
+    'hmac-sha2-256-etm@openssh.com',
+    'umac-128-etm@openssh.com'
+  ],
+  HostKeyAlgorithms: [
+    'ssh-ed25519',
+    'ssh-ed25519-cert-v01@openssh.com',
+    'sk-ssh-ed25519@openssh.com',
+    'sk-ssh-ed25519-cert-v01@openssh.com',
+    'rsa-sha2-512',
+    'rsa-sha2-512-cert-v01@openssh.com',
+    'rsa-sha2-256',
+    'rsa-sha2-256-cert-v01@openssh.com'
+  ]
+};
+MODERN.PubkeyAcceptedAlgorithms = [...MODERN.HostKeyAlgorithms];
+
+const ECDSA_ALGORITHMS = [
+  'ecdsa-sha2-nistp256',
+  'ecdsa-sha2-nistp256-cert-v01@openssh.com',
+  'ecdsa-sha2-nistp384',
+  'ecdsa-sha2-nistp384-cert-v01@openssh.com',
+  'ecdsa-sha2-nistp521',
+  'ecdsa-sha2-nistp521-cert-v01@openssh.com',
+  'sk-ecdsa-sha2-nistp256@openssh.com',
+  'sk-ecdsa-sha2-nistp256-cert-v01@openssh.com'
+];
+
+const INTERMEDIATE = {
+  KexAlgorithms: [
+    ...MODERN.KexAlgorithms,
+    'ecdh-sha2-nistp521',
+    'ecdh-sha2-nistp384',
+    'ecdh-sha2-nistp256',
+    'diffie-hellman-group18-sha512',
+    'diffie-hellman-group16-sha512',
+    'diffie-hellman-group-exchange-sha256'
+  ],
+  Ciphers: [
+    ...MODERN.Ciphers,
+    'aes256-ctr',
+    'aes192-ctr',
+    'aes128-ctr'
+  ],
+  MACs: [
+    ...MODERN.MACs,
+    'hmac-sha2-512',
+    'hmac-sha2-256',
+    'umac-128@openssh.com'
+  ],
+  HostKeyAlgorithms: [...MODERN.HostKeyAlgorithms, ...ECDSA_ALGORITHMS],
+  PubkeyAcceptedAlgorithms: [...MODERN.PubkeyAcceptedAlgorithms, ...ECDSA_ALGORITHMS]
+};
+
+const SHA1_KEY_ALGORITHMS = ['ssh-rsa', 'ssh-rsa-cert-v01@openssh.com'];
+
+const COMPAT = {
+  KexAlgorithms: [...INTERMEDIATE.KexAlgorithms, 'diffie-hellman-group14-sha256', 'diffie-hellman-group14-sha1'],
+  Ciphers: [...INTERMEDIATE.Ciphers],
+  MACs: [...INTERMEDIATE.MACs, 'hmac-sha1-etm@openssh.com', 'hmac-sha1'],
+  HostKeyAlgorithms: [...INTERMEDIATE.HostKeyAlgorithms, ...SHA1_KEY_ALGORITHMS],
+  PubkeyAcceptedAlgorithms: [...INTERMEDIATE.PubkeyAcceptedAlgorithms, ...SHA1_KEY_ALGORITHMS]
+};
+
+const CRYPTO_PROFILES = {
+  modern: MODERN,
+  intermediate: INTERMEDIATE,
+  compat: COMPAT
+};
+
+// `ssh -Q` queries listing what the installed OpenSSH supports per directive
+// (sshd has no -Q, the client comes from the same build). Key directives
+// union several queries since older releases lack the directive queries.
+const ALGORITHM_QUERIES = {
+  KexAlgorithms: ['kex'],
+  Ciphers: ['cipher'],
+  MACs: ['mac'],
+  HostKeyAlgorithms: ['HostKeyAlgorithms', 'key', 'sig'],
+  PubkeyAcceptedAlgorithms: ['PubkeyAcceptedAlgorithms', 'key', 'sig']
+};
+
+/**
+ * Get the names of the crypto profiles
+ *
+ * @returns {Array<string>} Profile names
+ */
+function getCryptoProfileNames() {
+  return Object.keys(CRYPTO_PROFILES);
+}
+
+/**
+ * Filter a profile against the algorithms the installed OpenSSH supports
+ *
+ * @param {string} name - Profile name
+ * @param {Object|null} supported - Supported algorithms per directive (null = unknown, keep all)
+ * @returns {Object} { directives: [{ name, algorithms }], dropped: [{ directive, algorithm }] }
+ */
+function filterCryptoProfile(name, supported) {
+  const profile = CRYPTO_PROFILES[name];
+  const directives = [];
+  const dropped = [];
+
+  Object.keys(profile).forEach(directive => {
+    const available = supported && supported[directive];
+    const algorithms = profile[directive].filter(algorithm => {
+      const keep = !available || available.includes(algorithm);
+      if (!keep) {
+        dropped.push({ directive, algorithm });
+      }
+      return keep;
+    });
+
+    if (algorithms.length > 0) {
+      directives.push({ name: directive, algorithms });
+    }
+  });
+
+  return { directives, dropped };
+}
+
+/**
+ * Check whether a profile accepts public keys of a given type
+ *
+ * ssh-rsa keys sign with rsa-sha2-256/512, which every profile accepts.
+ *
+ * @param {string} name - Profile name
+ * @param {string} keyType - Key type (e.g. 'ecdsa-sha2-nistp256')
+ * @returns {boolean} True if keys of this type can log in
+ */
+function acceptsKeyType(name, keyType) {
+  const accepted = CRYPTO_PROFILES[name].PubkeyAcceptedAlgorithms;
+  if (keyType === 'ssh-rsa') {
+    return accepted.some(algorithm => algorithm === 'ssh-rsa' || algorithm.startsWith('rsa-sha2-'));
+  }
+  return accepted.includes(keyType);
+}
+
+module.exports = {
+  CRYPTO_PROFILES,
+  ALGORITHM_QUERIES,
+  getCryptoProfileNames,
+  filterCryptoProfile,
+  acceptsKeyType
+};
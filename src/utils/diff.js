@@ -0,0 +1,110 @@
+/**
+ * Diff Utility
+ *
+ * Minimal line-based unified diff (LCS), enough for config files.
+ */
+
+/**
+ * Split text into lines without the trailing empty line
+ *
+ * @param {string} text - Text
+ * @returns {Array<string>} Lines
+ */
+function toLines(text) {
+  const lines = (text || '').split(/\r?\n/);
+  if (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute line edits between two texts
+ *
+ * @param {Array<string>} oldLines - Old lines
+ * @param {Array<string>} newLines - New lines
+ * @returns {Array<Object>} Edits ({ type: ' '|'-'|'+', line, oldIndex, newIndex })
+ */
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+
+  // lcs[i][j] = LCS length of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && oldLines[i] === newLines[j]) {
+      edits.push({ type: ' ', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+    } else if (i < rows && (j === cols || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      edits.push({ type: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+    } else {
+      edits.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Create a unified diff
+ *
+ * @param {string} oldText - Original content
+ * @param {string} newText - New content
+ * @param {Object} [options] - Options
+ * @param {string} [options.oldLabel='a'] - Label for the original file
+ * @param {string} [options.newLabel='b'] - Label for the new file
+ * @param {number} [options.context=3] - Context lines around changes
+ * @returns {string} Unified diff, or '' if the texts are equal
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+  const edits = diffLines(toLines(oldText), toLines(newText));
+
+  const changed = edits
+    .map((edit, index) => (edit.type === ' ' ? -1 : index))
+    .filter(index => index !== -1);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context windows touch into hunks
+  const ranges = [];
+  changed.forEach(index => {
+    const start = Math.max(0, index - context);
+    const end = Math.min(edits.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  ranges.forEach(({ start, end }) => {
+    const hunk = edits.slice(start, end + 1);
+    const oldCount = hunk.filter(edit => edit.type !== '+').length;
+    const newCount = hunk.filter(edit => edit.type !== '-').length;
+    const oldStart = oldCount > 0 ? hunk[0].oldIndex + 1 : hunk[0].oldIndex;
+    const newStart = newCount > 0 ? hunk[0].newIndex + 1 : hunk[0].newIndex;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach(edit => output.push(`${edit.type}${edit.line}`));
+  });
+
+  return output.join('\n') + '\n';
+}
+
+module.exports = {
+  createUnifiedDiff
+};
@@ -0,0 +1,147 @@
+/**
+ * Linux Distributions
+ *
+ * Maps /etc/os-release to a distribution family with its package manager,
+ * OpenSSH package, sftp-server location and SSH service name.
+ */
+
+// Install / remove commands per package manager
+const PACKAGE_MANAGERS = {
+  'apt-get': {
+    install: name => [['apt-get', 'update', '-y'], ['apt-get', 'install', '-y', name]],
+    remove: name => ['apt-get', 'remove', '-y', name]
+  },
+  dnf: {
+    install: name => [['dnf', 'install', '-y', name]],
+    remove: name => ['dnf', 'remove', '-y', name]
+  },
+  yum: {
+    install: name => [['yum', 'install', '-y', name]],
+    remove: name => ['yum', 'remove', '-y', name]
+  },
+  apk: {
+    install: name => [['apk', 'update'], ['apk', 'add', name]],
+    remove: name => ['apk', 'del', name]
+  },
+  zypper: {
+    install: name => [['zypper', '--non-interactive', 'install', name]],
+    remove: name => ['zypper', '--non-interactive', 'remove', name]
+  },
+  pacman: {
+    install: name => [['pacman', '-Sy', '--noconfirm', '--needed', name]],
+    remove: name => ['pacman', '-R', '--noconfirm', name]
+  }
+};
+
+// Families matched by ID, then ID_LIKE; managers are tried in order
+const DISTRO_FAMILIES = [
+  {
+    family: 'debian',
+    ids: ['debian', 'ubuntu', 'linuxmint', 'pop', 'raspbian', 'kali'],
+    managers: ['apt-get'],
+    packageName: 'openssh-server',
+    sftpServer: '/usr/lib/openssh/sftp-server',
+    service: 'ssh'
+  },
+  {
+    family: 'rhel',
+    ids: ['rhel', 'fedora', 'centos', 'rocky', 'almalinux', 'ol', 'amzn'],
+    managers: ['dnf', 'yum'],
+    packageName: 'openssh-server',
+    sftpServer: '/usr/libexec/openssh/sftp-server',
+    service: 'sshd'
+  },
+  {
+    family: 'alpine',
+    ids: ['alpine'],
+    managers: ['apk'],
+    packageName: 'openssh-server',
+    sftpServer: '/usr/lib/ssh/sftp-server',
+    service: 'sshd'
+  },
+  {
+    family: 'suse',
+    ids: ['suse', 'opensuse', 'sles', 'opensuse-leap', 'opensuse-tumbleweed'],
+    managers: ['zypper'],
+    packageName: 'openssh-server',
+    sftpServer: '/usr/libexec/ssh/sftp-server',
+    service: 'sshd'
+  },
+  {
+    family: 'arch',
+    ids: ['arch', 'manjaro', 'endeavouros'],
+    managers: ['pacman'],
+    packageName: 'openssh',
+    sftpServer: '/usr/lib/ssh/sftp-server',
+    service: 'sshd'
+  }
+];
+
+// Every known sftp-server location, the installed one wins over the family default
+const SFTP_SERVER_PATHS = [
+  '/usr/lib/openssh/sftp-server',
+  '/usr/libexec/openssh/sftp-server',
+  '/usr/lib/ssh/sftp-server',
+  '/usr/libexec/ssh/sftp-server',
+  '/usr/lib64/ssh/sftp-server',
+  '/usr/libexec/sftp-server'
+];
+
+/**
+ * Parse os-release content (KEY=value, values optionally quoted)
+ *
+ * @param {string} content - /etc/os-release content
+ * @returns {Object} Fields by key (ID, ID_LIKE, NAME, PRETTY_NAME, VERSION_ID, ...)
+ */
+function parseOsRelease(content) {
+  const fields = {};
+  (content || '').split('\n').forEach(line => {
+    const match = /^\s*([A-Z0-9_]+)=(.*)$/.exec(line);
+    if (!match) {
+      return;
+    }
+    let value = match[2].trim();
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length > 1) {
+      value = value.slice(1, -1).replace(/\\(["'$`\\])/g, '$1');
+    }
+    fields[match[1]] = value;
+  });
+  return fields;
+}
+
+/**
+ * Resolve the distribution family for os-release fields
+ *
+ * Unknown distributions fall back to the Debian family so existing
+ * behaviour is kept, with family 'unknown' for the plan and report.
+ *
+ * @param {Object} fields - Parsed os-release fields
+ * @returns {Object} { id, name, version, family, managers, packageName, sftpServer, service }
+ */
+function resolveDistro(fields) {
+  const id = (fields.ID || '').toLowerCase();
+  const like = (fields.ID_LIKE || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const known = DISTRO_FAMILIES.find(entry => entry.ids.includes(id))
+    || DISTRO_FAMILIES.find(entry => like.some(name => entry.ids.includes(name)));
+  const entry = known || DISTRO_FAMILIES[0];
+
+  return {
+    id: id || 'linux',
+    name: fields.PRETTY_NAME || fields.NAME || 'Linux',
+    version: fields.VERSION_ID || '',
+    family: known ? entry.family : 'unknown',
+    managers: [...entry.managers],
+    packageName: entry.packageName,
+    sftpServer: entry.sftpServer,
+    service: entry.service
+  };
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  DISTRO_FAMILIES,
+  SFTP_SERVER_PATHS,
+  parseOsRelease,
+  resolveDistro
+};
@@ -0,0 +1,69 @@
+/**
+ * Duration Utility
+ *
+ * Parses and formats durations such as "90", "45s", "30m", "2h", "1d" or
+ * combinations like "1h30m" (plain numbers are seconds).
+ */
+
+const UNIT_SECONDS = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60
+};
+
+/**
+ * Parse a duration into seconds
+ *
+ * @param {number|string} value - Duration (number = seconds)
+ * @returns {number|string|null} Seconds, the original string if malformed, or null if empty
+ */
+function parseDuration(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const text = String(value).trim().toLowerCase();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+  if (!/^(\d+[smhd])+$/.test(text)) {
+    return String(value);
+  }
+
+  let seconds = 0;
+  text.replace(/(\d+)([smhd])/g, (match, amount, unit) => {
+    seconds += parseInt(amount, 10) * UNIT_SECONDS[unit];
+    return match;
+  });
+  return seconds;
+}
+
+/**
+ * Format seconds as a short duration
+ *
+ * @param {number} seconds - Seconds
+ * @returns {string} e.g. "1h30m", "45s"
+ */
+function formatDuration(seconds) {
+  let remaining = Math.round(seconds);
+  const parts = [];
+
+  ['d', 'h', 'm', 's'].forEach(unit => {
+    const amount = Math.floor(remaining / UNIT_SECONDS[unit]);
+    if (amount > 0) {
+      parts.push(`${amount}${unit}`);
+      remaining -= amount * UNIT_SECONDS[unit];
+    }
+  });
+
+  return parts.length > 0 ? parts.join('') : '0s';
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration
+};
@@ -0,0 +1,170 @@
+/**
+ * Forwarding Policy
+ *
+ * sshd_config settings for TCP, agent, X11, stream-local forwarding and
+ * tunnelling. Each one can be set on its own (SSH_ALLOW_TCP_FORWARDING, ...)
+ * or through a preset (SSH_FORWARDING_PRESET); settings left unset fall back
+ * to whatever the existing config or sshd defaults say.
+ */
+
+const { parseDirectives, getKeywords } = require('./sshdConfig');
+
+// Settings in sshd_config order, with sshd's own default and whether
+// OpenSSH for Windows supports them
+const FORWARDING_SETTINGS = [
+  {
+    key: 'allowTcpForwarding',
+    name: 'AllowTcpForwarding',
+    env: 'SSH_ALLOW_TCP_FORWARDING',
+    values: ['yes', 'no', 'local', 'remote', 'all'],
+    sshdDefault: 'yes',
+    windows: true
+  },
+  {
+    key: 'gatewayPorts',
+    name: 'GatewayPorts',
+    env: 'SSH_GATEWAY_PORTS',
+    values: ['yes', 'no', 'clientspecified'],
+    sshdDefault: 'no',
+    windows: true
+  },
+  {
+    key: 'x11Forwarding',
+    name: 'X11Forwarding',
+    env: 'SSH_X11_FORWARDING',
+    values: ['yes', 'no'],
+    sshdDefault: 'no',
+    windows: false
+  },
+  {
+    key: 'allowAgentForwarding',
+    name: 'AllowAgentForwarding',
+    env: 'SSH_ALLOW_AGENT_FORWARDING',
+    values: ['yes', 'no'],
+    sshdDefault: 'yes',
+    windows: true
+  },
+  {
+    key: 'permitTunnel',
+    name: 'PermitTunnel',
+    env: 'SSH_PERMIT_TUNNEL',
+    values: ['yes', 'no', 'point-to-point', 'ethernet'],
+    sshdDefault: 'no',
+    windows: false
+  },
+  {
+    key: 'allowStreamLocalForwarding',
+    name: 'AllowStreamLocalForwarding',
+    env: 'SSH_ALLOW_STREAM_LOCAL_FORWARDING',
+    values: ['yes', 'no', 'local', 'remote', 'all'],
+    sshdDefault: 'yes',
+    windows: false
+  }
+];
+
+// Presets (SSH_FORWARDING_PRESET), single settings override them
+const FORWARDING_PRESETS = {
+  // Locked down: shell access only, no forwarding or tunnels of any kind
+  none: {
+    allowTcpForwarding: 'no',
+    gatewayPorts: 'no',
+    x11Forwarding: 'no',
+    allowAgentForwarding: 'no',
+    permitTunnel: 'no',
+    allowStreamLocalForwarding: 'no'
+  }
+};
+
+/**
+ * Get the names of the forwarding presets
+ *
+ * @returns {Array<string>} Preset names
+ */
+function getForwardingPresetNames() {
+  return Object.keys(FORWARDING_PRESETS);
+}
+
+/**
+ * Resolve the configured forwarding settings (single settings win over the preset)
+ *
+ * @param {Object} config - Configuration (forwardingPreset, allowTcpForwarding, ...)
+ * @param {string} [platform] - Target platform, 'win32' leaves out unsupported settings
+ * @returns {Array<Object>} Configured settings ({ name, value, source })
+ */
+function resolveForwardingPolicy(config, platform) {
+  const preset = FORWARDING_PRESETS[config.forwardingPreset] || {};
+
+  return FORWARDING_SETTINGS
+    .filter(setting => platform !== 'win32' || setting.windows)
+    .map(setting => {
+      if (config[setting.key]) {
+        return { name: setting.name, value: config[setting.key], source: setting.env };
+      }
+      if (preset[setting.key]) {
+        return { name: setting.name, value: preset[setting.key], source: `SSH_FORWARDING_PRESET=${config.forwardingPreset}` };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Work out the forwarding policy sshd will apply and where each value comes from
+ *
+ * sshd keeps the first value it reads: main-file lines that override ours
+ * come first, then the generated config, then the rest of the main file,
+ * then the sshd default.
+ *
+ * @param {Object} config - Configuration
+ * @param {string} generated - Generated sshd config
+ * @param {Object} [options] - Options
+ * @param {Array<Object>} [options.existing=[]] - Main sshd_config directives outside our block
+ * @param {Array<Object>} [options.conflicts=[]] - Main sshd_config directives overriding ours
+ * @param {string} [options.platform] - Target platform
+ * @returns {Array<Object>} Effective settings ({ name, value, source })
+ */
+function describeForwardingPolicy(config, generated, options = {}) {
+  const { existing = [], conflicts = [], platform } = options;
+  const firstValue = (directives, keyword) => directives
+    .find(directive => !directive.inMatch && directive.keyword === keyword);
+
+  const configured = resolveForwardingPolicy(config, platform);
+  const generatedDirectives = parseDirectives(generated);
+  const extraKeywords = getKeywords((config.extraConfig || []).join('\n'));
+
+  return FORWARDING_SETTINGS.map(setting => {
+    const keyword = setting.name.toLowerCase();
+    if (platform === 'win32' && !setting.windows) {
+      return { name: setting.name, value: 'n/a', source: 'not supported on Windows' };
+    }
+
+    const override = firstValue(conflicts, keyword);
+    if (override) {
+      return { name: setting.name, value: override.args, source: `sshd_config line ${override.lineNumber}` };
+    }
+
+    const ours = firstValue(generatedDirectives, keyword);
+    if (ours) {
+      const entry = configured.find(item => item.name === setting.name);
+      const source = extraKeywords.has(keyword)
+        ? 'SSH_EXTRA_CONFIG'
+        : entry && entry.value === ours.args ? entry.source : 'SSH_CONFIG_TEMPLATE';
+      return { name: setting.name, value: ours.args, source };
+    }
+
+    const theirs = firstValue(existing, keyword);
+    if (theirs) {
+      return { name: setting.name, value: theirs.args, source: `sshd_config line ${theirs.lineNumber}` };
+    }
+
+    return { name: setting.name, value: setting.sshdDefault, source: 'sshd default' };
+  });
+}
+
+module.exports = {
+  FORWARDING_SETTINGS,
+  FORWARDING_PRESETS,
+  getForwardingPresetNames,
+  resolveForwardingPolicy,
+  describeForwardingPolicy
+};
@@ -0,0 +1,55 @@
+/**
+ * Init Systems
+ *
+ * Service commands per Linux init system. Plan probes them in order: an
+ * init system counts when its runtime marker exists (systemd and OpenRC
+ * only create theirs when they actually booted the machine) and its tool
+ * is installed. Without one, sshd is started directly as a daemon
+ * ('none'), which is the usual case in containers.
+ */
+
+// In probe order; status commands exit 0 while the service runs
+const INIT_SYSTEMS = {
+  systemd: {
+    marker: '/run/systemd/system',
+    command: 'systemctl',
+    enable: name => ['systemctl', 'enable', name],
+    disable: name => ['systemctl', 'disable', name],
+    restart: name => ['systemctl', 'restart', name],
+    stop: name => ['systemctl', 'stop', name],
+    status: name => ['systemctl', 'is-active', name],
+    enabled: name => ['systemctl', 'is-enabled', name],
+    isEnabled: (output) => output.trim() === 'enabled'
+  },
+  openrc: {
+    marker: '/run/openrc',
+    command: 'rc-service',
+    enable: name => ['rc-update', 'add', name, 'default'],
+    disable: name => ['rc-update', 'del', name, 'default'],
+    restart: name => ['rc-service', name, 'restart'],
+    stop: name => ['rc-service', name, 'stop'],
+    status: name => ['rc-service', name, 'status'],
+    enabled: () => ['rc-update', 'show', 'default'],
+    isEnabled: (output, name) => output.split('\n').some(line => line.split('|')[0].trim() === name)
+  },
+  // init.d scripts through `service`, boot enablement is left alone
+  sysv: {
+    marker: '/etc/init.d',
+    command: 'service',
+    enable: null,
+    disable: null,
+    restart: name => ['service', name, 'restart'],
+    stop: name => ['service', name, 'stop'],
+    status: name => ['service', name, 'status'],
+    enabled: null,
+    isEnabled: null
+  }
+};
+
+// Where sshd is looked for when it is started directly (it needs an absolute path to re-exec)
+const SSHD_PATHS = ['/usr/sbin/sshd', '/usr/local/sbin/sshd', '/sbin/sshd'];
+
+module.exports = {
+  INIT_SYSTEMS,
+  SSHD_PATHS
+};
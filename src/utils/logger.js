@@ -8,7 +8,8 @@
 const path = require('path');
 const fs = require('fs').promises;
 const { getVNTimestamp, getVNDate } = require('../adapters/time');
-const { maskSensitive } = require('./mask');
+const { maskSensitive, isSensitiveKey } = require('./mask');
+const { describePublicKey } = require('./sshKeys');
 
 class Logger {
   constructor(options = {}) {
@@ -24,7 +25,7 @@ class Logger {
     // Log file path
     const logDir = path.join(this.cwd, '.runner-data', 'logs');
     const logDate = getVNDate();
-    this.logFilePath = path.join(logDir, `ssh-setup-${logDate}.log`);
+    this.logFilePath = path.join(logDir, `${options.logName || 'ssh-setup'}-${logDate}.log`);
     
     // Ensure log directory exists
     this._ensureLogDir();
@@ -66,26 +67,23 @@ Working directory: ${this.cwd}
     return formatted;
   }
 
-  _maskData(data) {
+  _maskData(data, sensitive = false) {
     if (typeof data !== 'object' || data === null) {
-      return data;
+      return sensitive ? this._maskValue(data) : data;
     }
 
     const masked = Array.isArray(data) ? [] : {};
 
     for (const key in data) {
       const value = data[key];
-      const lowerKey = key.toLowerCase();
 
       // Check if key contains sensitive words
-      if (lowerKey.includes('key') || 
-          lowerKey.includes('token') || 
-          lowerKey.includes('secret') || 
-          lowerKey.includes('password') ||
-          lowerKey.includes('auth')) {
-        masked[key] = maskSensitive(String(value));
-      } else if (typeof value === 'object') {
-        masked[key] = this._maskData(value);
+      const isSensitive = sensitive || isSensitiveKey(key);
+
+      if (typeof value === 'object' && value !== null) {
+        masked[key] = this._maskData(value, isSensitive);
+      } else if (isSensitive) {
+        masked[key] = this._maskValue(value);
       } else {
         masked[key] = value;
       }
@@ -94,6 +92,11 @@ Working directory: ${this.cwd}
     return masked;
   }
 
+  _maskValue(value) {
+    // Public keys are logged by fingerprint instead of masked text
+    return describePublicKey(String(value)) || maskSensitive(String(value));
+  }
+
   async _writeToFile(message) {
     try {
       await fs.appendFile(this.logFilePath, message + '\n', 'utf8');
@@ -0,0 +1,105 @@
+/**
+ * Managed Block Utility
+ *
+ * Reads and replaces a marked section inside a text file
+ * (# BEGIN runner-add-ssh / # END runner-add-ssh), leaving the rest untouched.
+ */
+
+const DEFAULT_BLOCK_NAME = 'runner-add-ssh';
+
+/**
+ * Get marker lines for a managed block
+ *
+ * @param {string} [name='runner-add-ssh'] - Block name
+ * @returns {Object} { begin, end } marker lines
+ */
+function getMarkers(name = DEFAULT_BLOCK_NAME) {
+  return {
+    begin: `# BEGIN ${name}`,
+    end: `# END ${name}`
+  };
+}
+
+/**
+ * Split content into the lines before, inside and after the managed block
+ *
+ * @param {string} content - File content
+ * @param {string} [name='runner-add-ssh'] - Block name
+ * @returns {Object} { before, block, after, found }
+ */
+function splitManagedBlock(content, name = DEFAULT_BLOCK_NAME) {
+  const { begin, end } = getMarkers(name);
+  const lines = (content || '').split(/\r?\n/);
+
+  // Drop the empty element produced by a trailing newline
+  if (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  const beginIndex = lines.findIndex(line => line.trim() === begin);
+  const endIndex = beginIndex === -1
+    ? -1
+    : lines.findIndex((line, index) => index > beginIndex && line.trim() === end);
+
+  if (beginIndex === -1 || endIndex === -1) {
+    return { before: lines, block: [], after: [], found: false };
+  }
+
+  return {
+    before: lines.slice(0, beginIndex),
+    block: lines.slice(beginIndex + 1, endIndex),
+    after: lines.slice(endIndex + 1),
+    found: true
+  };
+}
+
+/**
+ * Replace (or insert) the managed block with new lines
+ *
+ * A new block is appended, or placed at the top with options.prepend
+ * (needed for files where the first value wins, such as sshd_config).
+ *
+ * @param {string} content - File content
+ * @param {Array<string>} blockLines - Lines to place inside the block
+ * @param {string} [name='runner-add-ssh'] - Block name
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.prepend=false] - Insert a new block at the top
+ * @returns {string} Updated content
+ */
+function replaceManagedBlock(content, blockLines, name = DEFAULT_BLOCK_NAME, options = {}) {
+  const { begin, end } = getMarkers(name);
+  const { before, after, found } = splitManagedBlock(content, name);
+  const managed = [begin, ...blockLines, end];
+
+  let lines;
+  if (found) {
+    lines = [...before, ...managed, ...after];
+  } else if (options.prepend) {
+    lines = [...managed, ...before];
+  } else {
+    lines = [...before, ...managed];
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Remove the managed block (markers included)
+ *
+ * @param {string} content - File content
+ * @param {string} [name='runner-add-ssh'] - Block name
+ * @returns {string} Content without the managed block
+ */
+function removeManagedBlock(content, name = DEFAULT_BLOCK_NAME) {
+  const { before, after } = splitManagedBlock(content, name);
+  const lines = [...before, ...after];
+
+  return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+module.exports = {
+  getMarkers,
+  splitManagedBlock,
+  replaceManagedBlock,
+  removeManagedBlock
+};
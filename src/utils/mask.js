@@ -4,6 +4,20 @@
  * Masks sensitive data in logs for security.
  */
 
+// Key names containing one of these words hold secrets
+const SENSITIVE_WORDS = ['key', 'token', 'secret', 'password', 'auth'];
+
+/**
+ * Check whether a key name looks like it holds a secret
+ * 
+ * @param {string} key - Key or variable name
+ * @returns {boolean} True if the value should never be shown
+ */
+function isSensitiveKey(key) {
+  const lowerKey = String(key).toLowerCase();
+  return SENSITIVE_WORDS.some(word => lowerKey.includes(word));
+}
+
 /**
  * Mask sensitive value
  * 
@@ -87,6 +101,7 @@ function maskPublicKey(publicKey) {
 }
 
 module.exports = {
+  isSensitiveKey,
   maskSensitive,
   maskEmail,
   maskApiKey,
@@ -0,0 +1,19 @@
+/**
+ * Shell Utility
+ *
+ * Quoting for generated POSIX sh scripts.
+ */
+
+/**
+ * Quote a value for POSIX sh (single quotes, ' written as '\'')
+ *
+ * @param {string} value - Value
+ * @returns {string} Quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+module.exports = {
+  shellQuote
+};
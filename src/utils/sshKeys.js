@@ -0,0 +1,397 @@
+/**
+ * SSH Key Utilities
+ * 
+ * Helpers for reading, parsing and fingerprinting public keys and
+ * authorized_keys lines.
+ */
+
+const crypto = require('crypto');
+
+// Key type prefixes that start the key part of an authorized_keys line
+const KEY_TYPE_PATTERN = /^(ssh-|ecdsa-sha2-|sk-)/;
+
+// Supported public key algorithms
+const SUPPORTED_KEY_TYPES = [
+  'ssh-ed25519',
+  'ecdsa-sha2-nistp256',
+  'ecdsa-sha2-nistp384',
+  'ecdsa-sha2-nistp521',
+  'ssh-rsa',
+  'sk-ssh-ed25519@openssh.com',
+  'sk-ecdsa-sha2-nistp256@openssh.com'
+];
+
+// ECDSA curve sizes by curve identifier
+const ECDSA_CURVE_BITS = {
+  nistp256: 256,
+  nistp384: 384,
+  nistp521: 521
+};
+
+/**
+ * Split text into key lines, dropping blank lines and comments
+ * 
+ * @param {string} text - Text with one key per line
+ * @returns {Array<string>} Key lines
+ */
+function splitKeyLines(text) {
+  return (text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Parse an OpenSSH authorized_keys options string
+ * 
+ * Example: 'restrict,from="10.0.0.1",expiry-time="20261231"'
+ * 
+ * @param {string} text - Options string
+ * @returns {Array<Object>} Options ({ name, value }), value is null for flags
+ * @throws {Error} If quoting is unbalanced or an option is empty
+ */
+function parseKeyOptions(text) {
+  const options = [];
+  const input = (text || '').trim();
+  let i = 0;
+
+  while (i < input.length) {
+    let name = '';
+    while (i < input.length && input[i] !== '=' && input[i] !== ',') {
+      name += input[i++];
+    }
+
+    if (!name.trim()) {
+      throw new Error(`empty option at position ${i + 1}`);
+    }
+
+    let value = null;
+    if (input[i] === '=') {
+      i++;
+      if (input[i] !== '"') {
+        throw new Error(`value of "${name}" must be double-quoted`);
+      }
+      i++;
+      value = '';
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && input[i + 1] === '"') {
+          i++;
+        }
+        value += input[i++];
+      }
+      if (input[i] !== '"') {
+        throw new Error(`unterminated quote in "${name}"`);
+      }
+      i++;
+    }
+
+    options.push({ name: name.trim(), value });
+
+    if (i < input.length) {
+      if (input[i] !== ',') {
+        throw new Error(`expected "," after "${name}"`);
+      }
+      i++;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Format options back into an authorized_keys options string
+ * 
+ * @param {Array<Object>} options - Options ({ name, value })
+ * @returns {string} Options string
+ */
+function formatKeyOptions(options) {
+  return (options || [])
+    .map(opt => opt.value === null
+      ? opt.name
+      : `${opt.name}="${opt.value.replace(/"/g, '\\"')}"`)
+    .join(',');
+}
+
+/**
+ * Parse a key line (optionally prefixed with options) into a key entry
+ * 
+ * @param {string} line - Key line, e.g. 'from="10.0.0.1" ssh-ed25519 AAAA... me'
+ * @param {string} source - Where the key came from (for reporting)
+ * @returns {Object} Key entry ({ key, source, options, optionsError })
+ */
+function parseKeyEntry(line, source) {
+  const trimmed = (line || '').trim();
+  const entry = { key: trimmed, source, options: [] };
+
+  if (KEY_TYPE_PATTERN.test(trimmed)) {
+    return entry;
+  }
+
+  // Options end at the first whitespace outside double quotes
+  let inQuotes = false;
+  let end = 0;
+  while (end < trimmed.length) {
+    const char = trimmed[end];
+    if (char === '"' && trimmed[end - 1] !== '\\') {
+      inQuotes = !inQuotes;
+    } else if (/\s/.test(char) && !inQuotes) {
+      break;
+    }
+    end++;
+  }
+
+  const optionsText = trimmed.slice(0, end);
+  entry.key = trimmed.slice(end).trim();
+
+  try {
+    entry.options = parseKeyOptions(optionsText);
+  } catch (error) {
+    entry.optionsError = error.message;
+  }
+
+  return entry;
+}
+
+/**
+ * Format a key entry as an authorized_keys line
+ * 
+ * @param {Object} entry - Key entry ({ key, options })
+ * @returns {string} authorized_keys line
+ */
+function formatKeyLine(entry) {
+  const options = formatKeyOptions(entry.options);
+  return options ? `${options} ${entry.key.trim()}` : entry.key.trim();
+}
+
+/**
+ * Describe the effective restrictions of a key's options
+ * 
+ * @param {Array<Object>} options - Options ({ name, value })
+ * @returns {Array<string>} Human readable restrictions (empty if unrestricted)
+ */
+function describeKeyOptions(options) {
+  const names = (options || []).map(opt => opt.name.toLowerCase());
+  const valuesOf = name => (options || [])
+    .filter(opt => opt.name.toLowerCase() === name)
+    .map(opt => opt.value);
+  const restrictions = [];
+
+  if (names.includes('from')) {
+    restrictions.push(`from ${valuesOf('from').join(',')}`);
+  }
+  if (names.includes('expiry-time')) {
+    restrictions.push(`expires ${valuesOf('expiry-time')[0]}`);
+  }
+
+  // 'restrict' turns everything off, the positive flags turn single features back on
+  const restricted = names.includes('restrict');
+  const allows = feature => !names.includes(`no-${feature}`) && (!restricted || names.includes(feature));
+  const permitOpen = valuesOf('permitopen');
+  const permitListen = valuesOf('permitlisten');
+  if (restricted) {
+    restrictions.push('restrict');
+  }
+  if (!allows('pty')) {
+    restrictions.push('no-pty');
+  }
+  if (!allows('port-forwarding')) {
+    restrictions.push('no port forwarding');
+  } else {
+    if (permitOpen.length > 0) {
+      restrictions.push(`port forwarding only to ${permitOpen.join(', ')}`);
+    }
+    if (permitListen.length > 0) {
+      restrictions.push(`remote forwarding only on ${permitListen.join(', ')}`);
+    }
+  }
+  ['agent-forwarding', 'x11-forwarding', 'user-rc'].forEach(feature => {
+    if (!restricted && !allows(feature)) {
+      restrictions.push(`no-${feature}`);
+    } else if (restricted && allows(feature)) {
+      restrictions.push(`allows ${feature}`);
+    }
+  });
+  if (names.includes('command')) {
+    restrictions.push(`command="${valuesOf('command')[0]}"`);
+  }
+
+  return restrictions;
+}
+
+/**
+ * Read SSH wire-format strings from a key blob
+ * 
+ * @param {Buffer} blob - Decoded key blob
+ * @returns {Object} Reader with readString() and done()
+ */
+function createBlobReader(blob) {
+  let offset = 0;
+
+  return {
+    readString() {
+      if (offset + 4 > blob.length) {
+        throw new Error('key blob is truncated');
+      }
+      const length = blob.readUInt32BE(offset);
+      offset += 4;
+      if (offset + length > blob.length) {
+        throw new Error('key blob is truncated');
+      }
+      const value = blob.subarray(offset, offset + length);
+      offset += length;
+      return value;
+    },
+
+    done() {
+      return offset === blob.length;
+    }
+  };
+}
+
+/**
+ * Count significant bits of an unsigned big-endian integer (SSH mpint)
+ * 
+ * @param {Buffer} value - Integer bytes
+ * @returns {number} Bit length
+ */
+function bitLength(value) {
+  let start = 0;
+  while (start < value.length && value[start] === 0) {
+    start++;
+  }
+  if (start === value.length) {
+    return 0;
+  }
+
+  return (value.length - start - 1) * 8 + value[start].toString(2).length;
+}
+
+/**
+ * Parse and verify an OpenSSH public key ("type base64 [comment]")
+ * 
+ * Decodes the blob, checks the embedded algorithm name matches the prefix
+ * and reads key size. Security keys (sk-*) are supported.
+ * 
+ * @param {string} keyText - Public key text
+ * @returns {Object} { type, bits, comment, fingerprint, blob }
+ * @throws {Error} If the key cannot be parsed
+ */
+function parsePublicKey(keyText) {
+  const parts = (keyText || '').trim().split(/\s+/);
+  const [type, data] = parts;
+  const comment = parts.slice(2).join(' ');
+
+  if (!type || !data) {
+    throw new Error('expected "<type> <base64> [comment]"');
+  }
+  if (!SUPPORTED_KEY_TYPES.includes(type)) {
+    throw new Error(`unsupported key type "${type}"`);
+  }
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+    throw new Error('key data is not valid base64');
+  }
+
+  const blob = Buffer.from(data, 'base64');
+  const reader = createBlobReader(blob);
+  const embeddedType = reader.readString().toString('latin1');
+
+  if (embeddedType !== type) {
+    throw new Error(`key type "${type}" does not match embedded type "${embeddedType}"`);
+  }
+
+  let bits;
+  if (type === 'ssh-rsa') {
+    reader.readString(); // public exponent
+    bits = bitLength(reader.readString());
+  } else if (type === 'ssh-ed25519' || type === 'sk-ssh-ed25519@openssh.com') {
+    if (reader.readString().length !== 32) {
+      throw new Error('ed25519 public key must be 32 bytes');
+    }
+    bits = 256;
+  } else {
+    const curve = reader.readString().toString('latin1');
+    const expectedCurve = type.startsWith('sk-') ? 'nistp256' : type.split('-').pop();
+    if (curve !== expectedCurve) {
+      throw new Error(`key type "${type}" does not match curve "${curve}"`);
+    }
+    reader.readString(); // public point
+    bits = ECDSA_CURVE_BITS[curve];
+  }
+
+  if (type.startsWith('sk-')) {
+    reader.readString(); // application (e.g. "ssh:")
+  }
+
+  if (!reader.done()) {
+    throw new Error('key blob has trailing data');
+  }
+
+  return {
+    type,
+    bits,
+    comment,
+    fingerprint: getFingerprint(blob),
+    blob
+  };
+}
+
+/**
+ * Compute the OpenSSH SHA256 fingerprint of a key blob
+ * 
+ * @param {Buffer} blob - Decoded key blob
+ * @returns {string} Fingerprint (SHA256:...)
+ */
+function getFingerprint(blob) {
+  const digest = crypto.createHash('sha256').update(blob).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+/**
+ * Describe a public key by fingerprint for logs and reports
+ * 
+ * Falls back to null when the text is not a parsable public key.
+ * 
+ * @param {string} keyText - Public key text
+ * @returns {string|null} e.g. "ssh-ed25519 256 SHA256:... user@host"
+ */
+function describePublicKey(keyText) {
+  try {
+    const { type, bits, fingerprint, comment } = parsePublicKey(keyText);
+    return [type, bits, fingerprint, comment].filter(Boolean).join(' ');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extract the key blob (base64 part) from an authorized_keys line
+ * 
+ * Skips any leading options, so "from=... ssh-ed25519 AAAA... c" yields "AAAA...".
+ * 
+ * @param {string} line - authorized_keys line
+ * @returns {string|null} Key blob or null for comments/blank lines
+ */
+function getKeyBlob(line) {
+  const trimmed = (line || '').trim();
+  if (!trimmed || trimmed.startsWith('#')) {
+    return null;
+  }
+
+  // Options may contain quoted spaces (command="echo hi"), split them off first
+  const [type, blob] = parseKeyEntry(trimmed).key.split(/\s+/);
+  return KEY_TYPE_PATTERN.test(type || '') && blob ? blob : null;
+}
+
+module.exports = {
+  SUPPORTED_KEY_TYPES,
+  splitKeyLines,
+  parsePublicKey,
+  getFingerprint,
+  describePublicKey,
+  parseKeyOptions,
+  formatKeyOptions,
+  parseKeyEntry,
+  formatKeyLine,
+  describeKeyOptions,
+  getKeyBlob
+};
@@ -0,0 +1,268 @@
+/**
+ * sshd_config Utilities
+ *
+ * Parses sshd_config text into directives so generated settings can be
+ * compared with an existing file, renders config templates and merges
+ * extra directives into generated config.
+ */
+
+// Keywords sshd_config(5) knows about (OpenSSH 9.x, lower-cased)
+const KNOWN_DIRECTIVES = [
+  'acceptenv', 'addressfamily', 'allowagentforwarding', 'allowgroups',
+  'allowstreamlocalforwarding', 'allowtcpforwarding', 'allowusers',
+  'authenticationmethods', 'authorizedkeyscommand', 'authorizedkeyscommanduser',
+  'authorizedkeysfile', 'authorizedprincipalscommand',
+  'authorizedprincipalscommanduser', 'authorizedprincipalsfile', 'banner',
+  'casignaturealgorithms', 'channeltimeout', 'challengeresponseauthentication',
+  'chrootdirectory', 'ciphers', 'clientalivecountmax', 'clientaliveinterval',
+  'compression', 'debianbanner', 'denygroups', 'denyusers', 'disableforwarding',
+  'exposeauthinfo', 'fingerprinthash', 'forcecommand', 'gatewayports',
+  'gssapiauthentication', 'gssapicleanupcredentials', 'gssapikeyexchange',
+  'gssapistorecredentialsonrekey', 'gssapistrictacceptorcheck',
+  'hostbasedacceptedalgorithms', 'hostbasedacceptedkeytypes',
+  'hostbasedauthentication', 'hostbasedusesnamefrompacketonly',
+  'hostcertificate', 'hostkey', 'hostkeyagent', 'hostkeyalgorithms',
+  'ignorerhosts', 'ignoreuserknownhosts', 'include', 'ipqos',
+  'kbdinteractiveauthentication', 'kerberosauthentication',
+  'kerberosgetafstoken', 'kerberosorlocalpasswd', 'kerberosticketcleanup',
+  'kexalgorithms', 'listenaddress', 'logingracetime', 'loglevel', 'logverbose',
+  'macs', 'match', 'maxauthtries', 'maxsessions', 'maxstartups', 'modulifile',
+  'passwordauthentication', 'permitemptypasswords', 'permitlisten',
+  'permitopen', 'permitrootlogin', 'permittty', 'permittunnel',
+  'permituserenvironment', 'permituserrc', 'persourcemaxstartups',
+  'persourcenetblocksize', 'persourcepenalties', 'persourcepenaltyexemptlist',
+  'pidfile', 'port', 'printlastlog', 'printmotd', 'pubkeyacceptedalgorithms',
+  'pubkeyacceptedkeytypes', 'pubkeyauthentication', 'pubkeyauthoptions',
+  'rdomain', 'rekeylimit', 'requiredrsasize', 'revokedkeys',
+  'securitykeyprovider', 'setenv', 'streamlocalbindmask',
+  'streamlocalbindunlink', 'strictmodes', 'subsystem', 'syslogfacility',
+  'tcpkeepalive', 'trustedusercakeys', 'unusedconnectiontimeout', 'usedns',
+  'usepam', 'versionaddendum', 'x11displayoffset', 'x11forwarding',
+  'x11uselocalhost', 'xauthlocation'
+];
+
+// Keywords that may appear on several lines (Subsystem once per name)
+const REPEATABLE_DIRECTIVES = [
+  'acceptenv', 'allowgroups', 'allowusers', 'denygroups', 'denyusers',
+  'hostcertificate', 'hostkey', 'include', 'listenaddress', 'port', 'subsystem'
+];
+
+// Keywords allowed inside a Match block (sshd_config(5), Include left out)
+const MATCH_DIRECTIVES = [
+  'acceptenv', 'allowagentforwarding', 'allowgroups', 'allowstreamlocalforwarding',
+  'allowtcpforwarding', 'allowusers', 'authenticationmethods',
+  'authorizedkeyscommand', 'authorizedkeyscommanduser', 'authorizedkeysfile',
+  'authorizedprincipalscommand', 'authorizedprincipalscommanduser',
+  'authorizedprincipalsfile', 'banner', 'casignaturealgorithms', 'channeltimeout',
+  'chrootdirectory', 'clientalivecountmax', 'clientaliveinterval', 'denygroups',
+  'denyusers', 'disableforwarding', 'exposeauthinfo', 'forcecommand',
+  'gatewayports', 'gssapiauthentication', 'hostbasedacceptedalgorithms',
+  'hostbasedauthentication', 'hostbasedusesnamefrompacketonly', 'ignorerhosts',
+  'ipqos', 'kbdinteractiveauthentication', 'kerberosauthentication', 'loglevel',
+  'maxauthtries', 'maxsessions', 'passwordauthentication', 'permitemptypasswords',
+  'permitlisten', 'permitopen', 'permitrootlogin', 'permittty', 'permittunnel',
+  'permituserrc', 'pubkeyacceptedalgorithms', 'pubkeyauthentication',
+  'pubkeyauthoptions', 'rdomain', 'rekeylimit', 'revokedkeys', 'setenv',
+  'streamlocalbindmask', 'streamlocalbindunlink', 'trustedusercakeys',
+  'unusedconnectiontimeout', 'x11displayoffset', 'x11forwarding',
+  'x11uselocalhost'
+];
+
+// Placeholders available to config templates (SSH_CONFIG_TEMPLATE)
+const TEMPLATE_PLACEHOLDERS = [
+  'port', 'listenConfig', 'allowUsers', 'defaultCwd', 'subsystemPath',
+  'permitRootLogin', 'forceCommand', 'certificateConfig', 'forwardingConfig',
+  'bannerConfig', 'matchConfig'
+];
+
+// {{name}} placeholders in config templates
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+/**
+ * Parse sshd_config content into directives
+ *
+ * Keywords are lower-cased (sshd keywords are case-insensitive). Directives
+ * after a "Match" line are flagged with inMatch, since they only apply
+ * conditionally.
+ *
+ * @param {string} content - sshd_config content
+ * @returns {Array<Object>} Directives ({ keyword, name, args, lineNumber, inMatch })
+ */
+function parseDirectives(content) {
+  const directives = [];
+  let inMatch = false;
+
+  (content || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+
+    const match = /^(\S+?)(?:\s*=\s*|\s+)(.*)$/.exec(line);
+    const name = match ? match[1] : line;
+    const args = match ? match[2].trim() : '';
+    const keyword = name.toLowerCase();
+
+    if (keyword === 'match') {
+      inMatch = args.toLowerCase() !== 'all';
+    }
+
+    directives.push({ keyword, name, args, lineNumber: index + 1, inMatch });
+  });
+
+  return directives;
+}
+
+/**
+ * Get the set of (lower-cased) keywords set in a config
+ *
+ * @param {string} content - sshd_config content
+ * @returns {Set<string>} Keywords outside Match blocks
+ */
+function getKeywords(content) {
+  return new Set(
+    parseDirectives(content)
+      .filter(directive => !directive.inMatch && directive.keyword !== 'match')
+      .map(directive => directive.keyword)
+  );
+}
+
+/**
+ * Remove directives with the given keywords from config text
+ *
+ * @param {string} content - sshd_config content
+ * @param {Array<string>} keywords - Keywords to drop (case-insensitive)
+ * @returns {string} Filtered content
+ */
+function removeDirectives(content, keywords) {
+  const drop = new Set(keywords.map(keyword => keyword.toLowerCase()));
+
+  return (content || '')
+    .split('\n')
+    .filter(rawLine => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) {
+        return true;
+      }
+      return !drop.has(line.split(/[\s=]+/)[0].toLowerCase());
+    })
+    .join('\n');
+}
+
+/**
+ * Get the names of the placeholders used in a template
+ *
+ * @param {string} template - Template text
+ * @returns {Array<string>} Unique placeholder names
+ */
+function findPlaceholders(template) {
+  const names = [...(template || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  return [...new Set(names)];
+}
+
+/**
+ * Fill {{name}} placeholders in a template
+ *
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ * @throws {Error} If the template uses an unknown placeholder
+ */
+function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(values, name)) {
+      throw new Error(`Unknown placeholder ${placeholder}`);
+    }
+    return String(values[name]);
+  });
+}
+
+/**
+ * Get the identity of a directive for precedence (Subsystem per name)
+ *
+ * @param {Object} directive - Parsed directive
+ * @returns {string} Directive key
+ */
+function getDirectiveKey(directive) {
+  if (directive.keyword === 'subsystem') {
+    return `subsystem ${directive.args.split(/\s+/)[0]}`;
+  }
+  return directive.keyword;
+}
+
+/**
+ * Resolve duplicate directives, later lines take precedence
+ *
+ * A single-valued keyword keeps its last line. Repeatable keywords keep
+ * every distinct line, except Subsystem which keeps the last line per name.
+ *
+ * @param {Array<string>} lines - Directive lines
+ * @returns {Array<Object>} Directives in order ({ keyword, name, args, lineNumber, inMatch })
+ */
+function resolveDirectives(lines) {
+  const directives = parseDirectives(lines.join('\n'));
+
+  return directives.filter((directive, index) => {
+    const later = directives.slice(index + 1);
+    if (REPEATABLE_DIRECTIVES.includes(directive.keyword) && directive.keyword !== 'subsystem') {
+      return !later.some(other => other.keyword === directive.keyword && other.args === directive.args);
+    }
+    return !later.some(other => getDirectiveKey(other) === getDirectiveKey(directive));
+  });
+}
+
+/**
+ * Merge directives into config text, replacing lines with the same keyword
+ *
+ * sshd keeps the first value it reads, so overridden lines are removed
+ * instead of appending a second one. The directives are inserted before the
+ * first Match block so they stay unconditional.
+ *
+ * @param {string} content - sshd_config content
+ * @param {Array<Object>} directives - Resolved directives (see resolveDirectives)
+ * @param {string} [comment] - Comment line above the inserted directives
+ * @returns {string} Merged content
+ */
+function mergeDirectives(content, directives, comment) {
+  if (directives.length === 0) {
+    return content;
+  }
+
+  const overridden = new Set(directives.map(getDirectiveKey));
+  const parsed = parseDirectives(content);
+  const dropped = new Set(parsed
+    .filter(directive => !directive.inMatch && overridden.has(getDirectiveKey(directive)))
+    .map(directive => directive.lineNumber));
+  const firstMatch = parsed.find(directive => directive.keyword === 'match');
+
+  const added = [
+    ...(comment ? [comment] : []),
+    ...directives.map(directive => `${directive.name} ${directive.args}`)
+  ];
+  const lines = content.split('\n').filter((line, index) => !dropped.has(index + 1));
+
+  if (firstMatch) {
+    const insertAt = firstMatch.lineNumber - 1 - [...dropped].filter(lineNumber => lineNumber < firstMatch.lineNumber).length;
+    lines.splice(insertAt, 0, ...added, '');
+    return lines.join('\n');
+  }
+
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+  return [...lines, ...(lines.length > 0 ? [''] : []), ...added, ''].join('\n');
+}
+
+module.exports = {
+  KNOWN_DIRECTIVES,
+  REPEATABLE_DIRECTIVES,
+  MATCH_DIRECTIVES,
+  TEMPLATE_PLACEHOLDERS,
+  parseDirectives,
+  getKeywords,
+  removeDirectives,
+  findPlaceholders,
+  renderTemplate,
+  resolveDirectives,
+  mergeDirectives
+};
@@ -0,0 +1,64 @@
+/**
+ * Per-user Settings
+ *
+ * Rules for single users (SSH_USER_SETTINGS), written as `Match User`
+ * blocks. Each entry is an sshd_config directive ("AllowTcpForwarding no")
+ * or one of the presets:
+ *
+ * - shell: plain login shell, no ForceCommand
+ * - workspace: start in SSH_DEFAULT_CWD (the global ForceCommand)
+ * - sftp: SFTP only, no terminal and no forwarding
+ */
+
+const { resolveDirectives } = require('./sshdConfig');
+
+const USER_PRESETS = {
+  shell: () => ['ForceCommand none'],
+  workspace: workspaceCommand => [`ForceCommand ${workspaceCommand}`],
+  sftp: () => ['ForceCommand internal-sftp', 'PermitTTY no', 'DisableForwarding yes']
+};
+
+/**
+ * Get the names of the per-user presets
+ *
+ * @returns {Array<string>} Preset names
+ */
+function getUserPresetNames() {
+  return Object.keys(USER_PRESETS);
+}
+
+/**
+ * Check whether a settings entry is a preset name
+ *
+ * @param {string} entry - Settings entry
+ * @returns {boolean} True for a preset
+ */
+function isUserPreset(entry) {
+  return Object.prototype.hasOwnProperty.call(USER_PRESETS, entry.trim().toLowerCase());
+}
+
+/**
+ * Expand a user's entries into directives (later entries win over earlier ones)
+ *
+ * @param {Array<string>} entries - Presets and directive lines
+ * @param {string} workspaceCommand - Command that starts a shell in SSH_DEFAULT_CWD
+ * @returns {Array<Object>} Directives ({ keyword, name, args })
+ */
+function expandUserSettings(entries, workspaceCommand) {
+  const lines = [];
+  entries.forEach(entry => {
+    if (isUserPreset(entry)) {
+      lines.push(...USER_PRESETS[entry.trim().toLowerCase()](workspaceCommand));
+    } else {
+      lines.push(entry);
+    }
+  });
+
+  return resolveDirectives(lines);
+}
+
+module.exports = {
+  getUserPresetNames,
+  isUserPreset,
+  expandUserSettings
+};
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOsRelease, resolveDistro } = require('../src/utils/distros');
+
+test('parseOsRelease reads quoted and unquoted values', () => {
+  const fields = parseOsRelease([
+    'NAME="Ubuntu"',
+    'VERSION_ID="22.04"',
+    'ID=ubuntu',
+    'ID_LIKE=debian',
+    "PRETTY_NAME='Ubuntu 22.04.4 LTS'",
+    '# comment',
+    'HOME_URL="https://www.ubuntu.com/"',
+    'VARIANT="Say \\"hi\\""',
+    ''
+  ].join('\n'));
+
+  assert.equal(fields.NAME, 'Ubuntu');
+  assert.equal(fields.VERSION_ID, '22.04');
+  assert.equal(fields.ID, 'ubuntu');
+  assert.equal(fields.ID_LIKE, 'debian');
+  assert.equal(fields.PRETTY_NAME, 'Ubuntu 22.04.4 LTS');
+  assert.equal(fields.HOME_URL, 'https://www.ubuntu.com/');
+  assert.equal(fields.VARIANT, 'Say "hi"');
+  assert.equal(Object.keys(fields).length, 7);
+});
+
+test('parseOsRelease tolerates empty content', () => {
+  assert.deepEqual(parseOsRelease(''), {});
+  assert.deepEqual(parseOsRelease(undefined), {});
+});
+
+test('resolveDistro matches the family by ID', () => {
+  const distro = resolveDistro({ ID: 'alpine', VERSION_ID: '3.19.1', PRETTY_NAME: 'Alpine Linux v3.19' });
+
+  assert.equal(distro.id, 'alpine');
+  assert.equal(distro.family, 'alpine');
+  assert.equal(distro.version, '3.19.1');
+  assert.equal(distro.name, 'Alpine Linux v3.19');
+  assert.deepEqual(distro.managers, ['apk']);
+  assert.equal(distro.sftpServer, '/usr/lib/ssh/sftp-server');
+  assert.equal(distro.service, 'sshd');
+});
+
+test('resolveDistro falls back to ID_LIKE', () => {
+  const distro = resolveDistro(parseOsRelease('ID="rocky"\nID_LIKE="rhel centos fedora"\n'));
+  assert.equal(distro.family, 'rhel');
+  assert.deepEqual(distro.managers, ['dnf', 'yum']);
+
+  const derivative = resolveDistro({ ID: 'zorin', ID_LIKE: 'ubuntu debian' });
+  assert.equal(derivative.family, 'debian');
+  assert.equal(derivative.service, 'ssh');
+});
+
+test('resolveDistro keeps Debian behaviour for unknown distributions', () => {
+  const distro = resolveDistro({ ID: 'nixos', NAME: 'NixOS' });
+
+  assert.equal(distro.family, 'unknown');
+  assert.equal(distro.name, 'NixOS');
+  assert.deepEqual(distro.managers, ['apt-get']);
+  assert.equal(distro.packageName, 'openssh-server');
+
+  assert.equal(resolveDistro({}).id, 'linux');
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, formatDuration } = require('../src/utils/duration');
+
+test('parseDuration reads units and combinations', () => {
+  assert.equal(parseDuration('90'), 90);
+  assert.equal(parseDuration('45s'), 45);
+  assert.equal(parseDuration('30m'), 1800);
+  assert.equal(parseDuration('2h'), 7200);
+  assert.equal(parseDuration('1d'), 86400);
+  assert.equal(parseDuration('1h30m'), 5400);
+  assert.equal(parseDuration(' 2H '), 7200);
+  assert.equal(parseDuration(120), 120);
+});
+
+test('parseDuration returns null for empty and the input for malformed values', () => {
+  assert.equal(parseDuration(undefined), null);
+  assert.equal(parseDuration(''), null);
+  assert.equal(parseDuration('soon'), 'soon');
+  assert.equal(parseDuration('1.5h'), '1.5h');
+  assert.equal(parseDuration('30 m'), '30 m');
+});
+
+test('formatDuration prints the largest units first', () => {
+  assert.equal(formatDuration(5400), '1h30m');
+  assert.equal(formatDuration(45), '45s');
+  assert.equal(formatDuration(90061), '1d1h1m1s');
+  assert.equal(formatDuration(0), '0s');
+});
@@ -0,0 +1,49 @@
+/**
+ * Test Helpers
+ *
+ * Builds syntactically valid OpenSSH public keys without ssh-keygen, so the
+ * tests run the same on every platform.
+ */
+
+/**
+ * Encode an SSH wire-format string (uint32 length + bytes)
+ *
+ * @param {Buffer|string} value - String value
+ * @returns {Buffer} Encoded string
+ */
+function sshString(value) {
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(value, 'latin1');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, data]);
+}
+
+/**
+ * Build an ssh-ed25519 public key line
+ *
+ * @param {number} [seed=1] - Byte the 32-byte key is filled with (different seeds give different keys)
+ * @param {string} [comment='test@host'] - Key comment
+ * @returns {string} e.g. "ssh-ed25519 AAAA... test@host"
+ */
+function makeEd25519Key(seed = 1, comment = 'test@host') {
+  const blob = Buffer.concat([sshString('ssh-ed25519'), sshString(Buffer.alloc(32, seed))]);
+  return `ssh-ed25519 ${blob.toString('base64')} ${comment}`.trim();
+}
+
+/**
+ * Build an ssh-rsa public key line
+ *
+ * @param {number} bits - Modulus size in bits (multiple of 8)
+ * @returns {string} e.g. "ssh-rsa AAAA... rsa@host"
+ */
+function makeRsaKey(bits) {
+  // Leading zero byte keeps the mpint positive, as OpenSSH writes it
+  const modulus = Buffer.concat([Buffer.from([0]), Buffer.alloc(bits / 8, 0xff)]);
+  const blob = Buffer.concat([sshString('ssh-rsa'), sshString(Buffer.from([1, 0, 1])), sshString(modulus)]);
+  return `ssh-rsa ${blob.toString('base64')} rsa@host`;
+}
+
+module.exports = {
+  makeEd25519Key,
+  makeRsaKey
+};
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createGitHubKeyFetcher } = require('../src/adapters/keyFetcher');
+const { NetworkError } = require('../src/utils/errors');
+const { makeEd25519Key } = require('./helpers');
+
+const KEYS = [makeEd25519Key(1, ''), makeEd25519Key(2, '')];
+
+// Stand-in for github.com/<user>.keys
+const ROUTES = {
+  '/octocat.keys': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(`${KEYS.join('\n')}\n\n`);
+  },
+  '/nokeys.keys': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('');
+  },
+  // Connection drops after part of the announced body
+  '/truncated.keys': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': '1000' });
+    res.write(KEYS[0]);
+    setTimeout(() => res.destroy(), 20);
+  }
+};
+
+/**
+ * Start the stand-in server on a free loopback port
+ *
+ * @returns {Promise<Object>} { server, baseUrl }
+ */
+async function startServer() {
+  const server = http.createServer((req, res) => {
+    const route = ROUTES[req.url];
+    if (route) {
+      route(req, res);
+    } else {
+      res.writeHead(404);
+      res.end('Not Found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('GitHub key fetcher against a local server', async (t) => {
+  const { server, baseUrl } = await startServer();
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  await t.test('returns the key lines of a user', async () => {
+    const fetcher = createGitHubKeyFetcher({ baseUrl: `${baseUrl}/` });
+
+    assert.equal(fetcher.name, 'github');
+    assert.deepEqual(await fetcher.fetchKeys('octocat'), KEYS);
+    assert.deepEqual(await fetcher.fetchKeys('nokeys'), []);
+  });
+
+  await t.test('raises a NetworkError for an unknown user', async () => {
+    const fetcher = createGitHubKeyFetcher({ baseUrl });
+
+    await assert.rejects(fetcher.fetchKeys('no-such-user'), error => {
+      assert.ok(error instanceof NetworkError);
+      assert.equal(error.exitCode, 10);
+      assert.match(error.message, /"no-such-user" .*HTTP 404/);
+      return true;
+    });
+  });
+
+  await t.test('raises a NetworkError when the body is cut off', async () => {
+    const fetcher = createGitHubKeyFetcher({ baseUrl });
+
+    await assert.rejects(fetcher.fetchKeys('truncated'), error => {
+      assert.ok(error instanceof NetworkError);
+      assert.match(error.message, /Failed to read keys for "truncated"/);
+      return true;
+    });
+  });
+});
+
+test('GitHub key fetcher raises a NetworkError when the server is unreachable', async () => {
+  // Grab a free port, then close it so nothing listens there
+  const { server, baseUrl } = await startServer();
+  await new Promise(resolve => server.close(resolve));
+
+  await assert.rejects(createGitHubKeyFetcher({ baseUrl }).fetchKeys('octocat'), error => {
+    assert.ok(error instanceof NetworkError);
+    assert.match(error.message, /Failed to fetch keys for "octocat"/);
+    return true;
+  });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitManagedBlock, replaceManagedBlock, removeManagedBlock } = require('../src/utils/managedBlock');
+
+const EXISTING = 'ssh-ed25519 AAAA mine\nssh-rsa AAAA other\n';
+
+test('replaceManagedBlock appends a new block after the existing lines', () => {
+  assert.equal(
+    replaceManagedBlock(EXISTING, ['ssh-ed25519 AAAA one']),
+    'ssh-ed25519 AAAA mine\nssh-rsa AAAA other\n# BEGIN runner-add-ssh\nssh-ed25519 AAAA one\n# END runner-add-ssh\n'
+  );
+});
+
+test('replaceManagedBlock prepends a new block so its values win in sshd_config', () => {
+  assert.equal(
+    replaceManagedBlock('Port 22\nPasswordAuthentication yes\n', ['Include /etc/ssh/sshd_config.d/*.conf'], undefined, { prepend: true }),
+    '# BEGIN runner-add-ssh\nInclude /etc/ssh/sshd_config.d/*.conf\n# END runner-add-ssh\nPort 22\nPasswordAuthentication yes\n'
+  );
+});
+
+test('replaceManagedBlock replaces an existing block in place, also with prepend', () => {
+  const content = 'a\n# BEGIN runner-add-ssh\nold\n# END runner-add-ssh\nb\n';
+  const expected = 'a\n# BEGIN runner-add-ssh\nnew\n# END runner-add-ssh\nb\n';
+
+  assert.equal(replaceManagedBlock(content, ['new']), expected);
+  assert.equal(replaceManagedBlock(content, ['new'], undefined, { prepend: true }), expected);
+});
+
+test('replaceManagedBlock handles empty files and CRLF line endings', () => {
+  assert.equal(replaceManagedBlock('', ['a']), '# BEGIN runner-add-ssh\na\n# END runner-add-ssh\n');
+  assert.equal(
+    replaceManagedBlock('x\r\n# BEGIN runner-add-ssh\r\nold\r\n# END runner-add-ssh\r\n', ['new']),
+    'x\n# BEGIN runner-add-ssh\nnew\n# END runner-add-ssh\n'
+  );
+});
+
+test('splitManagedBlock ignores a block without an end marker', () => {
+  const parts = splitManagedBlock('a\n# BEGIN runner-add-ssh\nb\n');
+
+  assert.equal(parts.found, false);
+  assert.deepEqual(parts.before, ['a', '# BEGIN runner-add-ssh', 'b']);
+});
+
+test('removeManagedBlock keeps the surrounding lines', () => {
+  const content = replaceManagedBlock(EXISTING, ['x']);
+
+  assert.equal(removeManagedBlock(content), EXISTING);
+  assert.equal(removeManagedBlock('# BEGIN runner-add-ssh\nx\n# END runner-add-ssh\n'), '');
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const parseInput = require('../src/core/parseInput');
+const { makeEd25519Key } = require('./helpers');
+
+const FORWARDING_ENV = [
+  'SSH_ALLOW_TCP_FORWARDING',
+  'SSH_GATEWAY_PORTS',
+  'SSH_X11_FORWARDING',
+  'SSH_ALLOW_AGENT_FORWARDING',
+  'SSH_PERMIT_TUNNEL',
+  'SSH_ALLOW_STREAM_LOCAL_FORWARDING'
+];
+
+/**
+ * Run a function with environment variables set, restoring them afterwards
+ *
+ * @param {Object} values - Variables to set
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function withEnv(values, fn) {
+  const saved = {};
+  Object.keys(values).forEach(name => {
+    saved[name] = process.env[name];
+    process.env[name] = values[name];
+  });
+  try {
+    return fn();
+  } finally {
+    Object.keys(saved).forEach(name => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+  }
+}
+
+test('parseInput keeps forwarding settings passed as false', () => {
+  const env = Object.fromEntries(FORWARDING_ENV.map(name => [name, 'yes']));
+  const config = withEnv(env, () => parseInput({
+    allowTcpForwarding: false,
+    gatewayPorts: false,
+    x11Forwarding: false,
+    allowAgentForwarding: false,
+    permitTunnel: false,
+    allowStreamLocalForwarding: false
+  }));
+
+  assert.equal(config.allowTcpForwarding, 'no');
+  assert.equal(config.gatewayPorts, 'no');
+  assert.equal(config.x11Forwarding, 'no');
+  assert.equal(config.allowAgentForwarding, 'no');
+  assert.equal(config.permitTunnel, 'no');
+  assert.equal(config.allowStreamLocalForwarding, 'no');
+});
+
+test('parseInput reads forwarding settings from the environment', () => {
+  const config = withEnv({ SSH_ALLOW_TCP_FORWARDING: 'local', SSH_X11_FORWARDING: 'No' }, () => parseInput({}));
+
+  assert.equal(config.allowTcpForwarding, 'local');
+  assert.equal(config.x11Forwarding, 'no');
+  assert.equal(config.gatewayPorts, '');
+});
+
+test('parseInput lets options override the forwarding environment', () => {
+  const config = withEnv({ SSH_ALLOW_TCP_FORWARDING: 'yes' }, () => parseInput({ allowTcpForwarding: 'no', permitTunnel: true }));
+
+  assert.equal(config.allowTcpForwarding, 'no');
+  assert.equal(config.permitTunnel, 'yes');
+});
+
+test('parseInput parses ports, listen addresses and inline key options', () => {
+  const key = makeEd25519Key();
+  const config = parseInput({ port: '2222,2223', listenAddresses: '0.0.0.0, ::', publicKey: [`restrict ${key}`, key] });
+
+  assert.deepEqual(config.ports, [2222, 2223]);
+  assert.equal(config.port, 2222);
+  assert.deepEqual(config.listenAddresses, ['0.0.0.0', '::']);
+  assert.equal(config.publicKeys.length, 2);
+  assert.deepEqual(config.publicKeys[0].options, [{ name: 'restrict', value: null }]);
+  assert.equal(config.publicKeys[0].key, key);
+});
+
+test('parseInput turns auto and ranges into port ranges for plan', () => {
+  const config = parseInput({ port: '2222,auto,3000-3010' });
+
+  assert.equal(config.port, 2222);
+  assert.deepEqual(config.ports.slice(1), [
+    { spec: 'auto', start: 2222, end: 2299 },
+    { spec: '3000-3010', start: 3000, end: 3010 }
+  ]);
+});
+
+test('parseInput parses session durations', () => {
+  const config = parseInput({ maxLifetime: '1h30m', idleTimeout: '15m' });
+
+  assert.equal(config.maxLifetime, 5400);
+  assert.equal(config.idleTimeout, 900);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  parsePublicKey,
+  parseKeyOptions,
+  formatKeyOptions,
+  parseKeyEntry,
+  formatKeyLine,
+  describeKeyOptions,
+  getKeyBlob
+} = require('../src/utils/sshKeys');
+const { makeEd25519Key, makeRsaKey } = require('./helpers');
+
+const KEY = makeEd25519Key(7, 'me@laptop');
+const BLOB = KEY.split(' ')[1];
+
+test('parsePublicKey reads type, size, comment and fingerprint', () => {
+  const parsed = parsePublicKey(KEY);
+  const digest = crypto.createHash('sha256').update(Buffer.from(BLOB, 'base64')).digest('base64').replace(/=+$/, '');
+
+  assert.equal(parsed.type, 'ssh-ed25519');
+  assert.equal(parsed.bits, 256);
+  assert.equal(parsed.comment, 'me@laptop');
+  assert.equal(parsed.fingerprint, `SHA256:${digest}`);
+  assert.equal(parsePublicKey(makeRsaKey(2048)).bits, 2048);
+});
+
+test('parsePublicKey rejects malformed keys', () => {
+  assert.throws(() => parsePublicKey(''), /expected/);
+  assert.throws(() => parsePublicKey('ssh-dss AAAAB3NzaC1kc3M='), /unsupported key type/);
+  assert.throws(() => parsePublicKey('ssh-ed25519 not*base64'), /not valid base64/);
+  assert.throws(() => parsePublicKey(`ssh-rsa ${BLOB}`), /does not match embedded type/);
+
+  const short = Buffer.from(BLOB, 'base64').subarray(0, 30).toString('base64');
+  assert.throws(() => parsePublicKey(`ssh-ed25519 ${short}`));
+});
+
+test('parseKeyOptions splits flags and quoted values', () => {
+  assert.deepEqual(parseKeyOptions('restrict,from="10.0.0.1,10.0.0.2",command="echo \\"hi\\""'), [
+    { name: 'restrict', value: null },
+    { name: 'from', value: '10.0.0.1,10.0.0.2' },
+    { name: 'command', value: 'echo "hi"' }
+  ]);
+  assert.throws(() => parseKeyOptions('from=10.0.0.1'), /double-quoted/);
+  assert.throws(() => parseKeyOptions('command="echo'), /unterminated quote/);
+  assert.throws(() => parseKeyOptions('restrict,,no-pty'), /empty option/);
+});
+
+test('parseKeyEntry keeps quoted spaces inside the options', () => {
+  const entry = parseKeyEntry(`command="echo hi",no-pty ${KEY}`, 'test');
+
+  assert.equal(entry.key, KEY);
+  assert.equal(entry.source, 'test');
+  assert.deepEqual(entry.options, [
+    { name: 'command', value: 'echo hi' },
+    { name: 'no-pty', value: null }
+  ]);
+  assert.equal(formatKeyLine(entry), `command="echo hi",no-pty ${KEY}`);
+  assert.equal(formatKeyOptions(entry.options), 'command="echo hi",no-pty');
+});
+
+test('parseKeyEntry reports malformed options instead of throwing', () => {
+  const entry = parseKeyEntry(`from=10.0.0.1 ${KEY}`, 'test');
+  assert.match(entry.optionsError, /double-quoted/);
+  assert.deepEqual(parseKeyEntry(KEY, 'test').options, []);
+});
+
+test('getKeyBlob skips options, including quoted spaces', () => {
+  assert.equal(getKeyBlob(KEY), BLOB);
+  assert.equal(getKeyBlob(`from="10.0.0.1",no-pty ${KEY}`), BLOB);
+  assert.equal(getKeyBlob(`command="echo hi there",restrict ${KEY}`), BLOB);
+  assert.equal(getKeyBlob('# comment'), null);
+  assert.equal(getKeyBlob(''), null);
+  assert.equal(getKeyBlob('not a key'), null);
+});
+
+test('describeKeyOptions lists what restrict turns off and what is turned back on', () => {
+  assert.deepEqual(describeKeyOptions([]), []);
+  assert.deepEqual(describeKeyOptions(parseKeyOptions('restrict')), ['restrict', 'no-pty', 'no port forwarding']);
+  assert.deepEqual(
+    describeKeyOptions(parseKeyOptions('restrict,port-forwarding,permitopen="localhost:5432",agent-forwarding')),
+    ['restrict', 'no-pty', 'port forwarding only to localhost:5432', 'allows agent-forwarding']
+  );
+});
+
+test('describeKeyOptions without restrict lists the no-* flags', () => {
+  assert.deepEqual(
+    describeKeyOptions(parseKeyOptions('from="10.0.0.0/8",expiry-time="20991231",no-port-forwarding,no-x11-forwarding,command="uptime"')),
+    ['from 10.0.0.0/8', 'expires 20991231', 'no port forwarding', 'no-x11-forwarding', 'command="uptime"']
+  );
+  assert.deepEqual(
+    describeKeyOptions(parseKeyOptions('permitlisten="8080",permitlisten="localhost:9090"')),
+    ['remote forwarding only on 8080, localhost:9090']
+  );
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseDirectives,
+  findPlaceholders,
+  renderTemplate,
+  mergeDirectives,
+  resolveDirectives
+} = require('../src/utils/sshdConfig');
+const parseInput = require('../src/core/parseInput');
+const { renderSSHDConfig, generateListenConfig, generateMatchConfig } = require('../src/core/execute/common');
+
+const TEMPLATE = [
+  'Port {{port}}',
+  'AllowUsers {{allowUsers}}',
+  'PasswordAuthentication no',
+  'Subsystem sftp {{subsystemPath}}',
+  ''
+].join('\n');
+
+/**
+ * Render TEMPLATE the way the Linux executor does
+ *
+ * @param {Object} options - parseInput options
+ * @param {Object} [values] - Extra placeholder values
+ * @returns {string} sshd_config content
+ */
+function render(options, values = {}) {
+  const config = parseInput({ allowUsers: 'runner', ...options });
+  config.configTemplateContent = options.configTemplateContent || '';
+  return renderSSHDConfig(TEMPLATE, {
+    port: config.port,
+    listenConfig: generateListenConfig(config),
+    matchConfig: generateMatchConfig(config, '/usr/local/bin/workspace'),
+    allowUsers: config.allowUsers,
+    subsystemPath: '/usr/lib/openssh/sftp-server',
+    ...values
+  }, config, null);
+}
+
+test('parseDirectives reads keywords, arguments and line numbers', () => {
+  assert.deepEqual(
+    parseDirectives('# comment\nPort 2222\n\n  PasswordAuthentication   no\n').map(({ keyword, name, args, lineNumber }) => ({ keyword, name, args, lineNumber })),
+    [
+      { keyword: 'port', name: 'Port', args: '2222', lineNumber: 2 },
+      { keyword: 'passwordauthentication', name: 'PasswordAuthentication', args: 'no', lineNumber: 4 }
+    ]
+  );
+});
+
+test('renderTemplate fills placeholders', () => {
+  assert.deepEqual(findPlaceholders('Port {{port}}\nAllowUsers {{ allowUsers }}'), ['port', 'allowUsers']);
+  assert.equal(renderTemplate('Port {{port}}\nAllowUsers {{ allowUsers }}', { port: 22, allowUsers: 'a b' }), 'Port 22\nAllowUsers a b');
+});
+
+test('mergeDirectives replaces existing keywords and appends new ones', () => {
+  const merged = mergeDirectives('Port 22\nPasswordAuthentication yes\n', resolveDirectives(['PasswordAuthentication no', 'MaxAuthTries 3']), '# Extra');
+
+  assert.doesNotMatch(merged, /PasswordAuthentication yes/);
+  assert.match(merged, /^Port 22$/m);
+  assert.match(merged, /# Extra\nPasswordAuthentication no\nMaxAuthTries 3/);
+});
+
+test('renderSSHDConfig writes the forwarding policy', () => {
+  const content = render({ forwardingPreset: 'none', x11Forwarding: 'yes' });
+
+  assert.match(content, /# Forwarding policy\n/);
+  assert.match(content, /^AllowTcpForwarding no$/m);
+  assert.match(content, /^X11Forwarding yes$/m);
+});
+
+test('renderSSHDConfig writes forwarding settings passed as false', () => {
+  assert.match(render({ allowTcpForwarding: false }), /^AllowTcpForwarding no$/m);
+});
+
+test('renderSSHDConfig writes every port and listen address', () => {
+  const content = render({ port: '2222,2223', listenAddresses: '127.0.0.1' });
+
+  assert.deepEqual(content.match(/^Port .*$/gm), ['Port 2222', 'Port 2223']);
+  assert.match(content, /^ListenAddress 127\.0\.0\.1$/m);
+  assert.match(content, /^AllowUsers runner$/m);
+  assert.match(content, /^Subsystem sftp \/usr\/lib\/openssh\/sftp-server$/m);
+});
+
+test('renderSSHDConfig lets SSH_EXTRA_CONFIG override the template', () => {
+  const content = render({ extraConfig: ['PasswordAuthentication yes', 'MaxAuthTries 3'] });
+
+  assert.doesNotMatch(content, /PasswordAuthentication no/);
+  assert.match(content, /# Extra directives \(SSH_EXTRA_CONFIG\)\nPasswordAuthentication yes\nMaxAuthTries 3/);
+});
+
+test('generateMatchConfig expands presets and closes with Match all', () => {
+  const config = parseInput({ userSettings: 'contractor: sftp\ncontractor: PermitTTY yes\nroot: shell' });
+
+  assert.equal(generateMatchConfig(config, '/usr/local/bin/workspace'), [
+    '',
+    'Match User contractor',
+    '    ForceCommand internal-sftp',
+    '    DisableForwarding yes',
+    '    PermitTTY yes',
+    'Match User root',
+    '    ForceCommand none',
+    'Match all',
+    ''
+  ].join('\n'));
+  assert.equal(generateMatchConfig(parseInput({}), '/usr/local/bin/workspace'), '');
+});
+
+test('renderSSHDConfig keeps Match blocks last', () => {
+  const content = render({ userSettings: 'contractor: sftp', extraConfig: ['MaxAuthTries 3'] });
+
+  assert.ok(content.trimEnd().endsWith('Match User contractor\n    ForceCommand internal-sftp\n    PermitTTY no\n    DisableForwarding yes\nMatch all'));
+  assert.ok(content.indexOf('MaxAuthTries 3') < content.indexOf('Match User contractor'));
+});
+
+test('renderSSHDConfig uses SSH_CONFIG_TEMPLATE instead of the built-in template', () => {
+  const content = render({ port: '2200', configTemplateContent: 'Port {{port}}\nUsePAM yes\n' });
+
+  assert.match(content, /^UsePAM yes$/m);
+  assert.doesNotMatch(content, /PasswordAuthentication/);
+  assert.deepEqual(content.match(/^Port .*$/gm), ['Port 2200']);
+});
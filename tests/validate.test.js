@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const parseInput = require('../src/core/parseInput');
+const validate = require('../src/core/validate');
+const { ValidationError } = require('../src/utils/errors');
+const { makeEd25519Key, makeRsaKey } = require('./helpers');
+
+/**
+ * Parse and validate a config with the given key lines
+ *
+ * @param {Array<string>} publicKey - Key lines (optionally with options)
+ * @param {Object} [options] - Other parseInput options
+ * @returns {Object} Validated config
+ */
+function validateKeys(publicKey, options = {}) {
+  const config = parseInput({ publicKey, allowUsers: 'runner', defaultCwd: '/tmp', ...options });
+  validate(config);
+  return config;
+}
+
+/**
+ * Get the validation error message for the given key lines
+ *
+ * @param {Array<string>} publicKey - Key lines (optionally with options)
+ * @param {Object} [options] - Other parseInput options
+ * @returns {string} Error message
+ */
+function validationMessage(publicKey, options) {
+  try {
+    validateKeys(publicKey, options);
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error.message;
+  }
+  assert.fail('expected a ValidationError');
+}
+
+const KEY = makeEd25519Key();
+
+test('validate accepts every supported authorized_keys option', () => {
+  validateKeys([
+    `restrict,pty,port-forwarding,agent-forwarding,x11-forwarding,user-rc ${KEY}`,
+    `no-pty,no-port-forwarding,no-agent-forwarding,no-x11-forwarding,no-user-rc ${makeEd25519Key(2)}`,
+    `from="10.0.0.0/8,!10.0.0.1,*.example.com",expiry-time="20991231",command="uptime" ${makeEd25519Key(3)}`,
+    `restrict,port-forwarding,permitopen="localhost:5432",permitopen="[::1]:*",permitlisten="8080",permitlisten="localhost:9090" ${makeEd25519Key(4)}`
+  ]);
+});
+
+test('validate rejects unknown, malformed and repeated key options', () => {
+  const message = validationMessage([
+    `no-such-option ${KEY}`,
+    `restrict="yes" ${makeEd25519Key(2)}`,
+    `permitopen="5432" ${makeEd25519Key(3)}`,
+    `permitlisten="host:99999" ${makeEd25519Key(4)}`,
+    `command="a",command="b" ${makeEd25519Key(5)}`,
+    `expiry-time="20000101" ${makeEd25519Key(6)}`,
+    `from=10.0.0.1 ${makeEd25519Key(7)}`
+  ]);
+
+  assert.match(message, /#1 .*unknown option "no-such-option"/);
+  assert.match(message, /#2 .*option "restrict" does not take a value/);
+  assert.match(message, /#3 .*permitopen="5432" must be host:port/);
+  assert.match(message, /#4 .*permitlisten="host:99999" must be \[host:\]port/);
+  assert.match(message, /#5 .*option "command" is specified more than once/);
+  assert.match(message, /#6 .*expiry-time="20000101" is already in the past/);
+  assert.match(message, /#7 .*has malformed options/);
+});
+
+test('validate applies the key type and RSA size policy', () => {
+  assert.match(validationMessage([makeRsaKey(1024)]), /is RSA 1024 bits, minimum is 2048/);
+  assert.match(
+    validationMessage([KEY], { allowedKeyTypes: 'ssh-rsa' }),
+    /uses disallowed type ssh-ed25519/
+  );
+  validateKeys([makeRsaKey(3072)]);
+});
+
+test('validate requires a public key', () => {
+  assert.match(validationMessage([]), /No SSH public key provided/);
+});